@@ -0,0 +1,472 @@
+#!/usr/bin/env node
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { parseArgs } = require('util');
+const ExcelJS = require('exceljs');
+const { METADATA_FIELDS } = require('./lib/uploads');
+const { normalizeMetadata } = require('./lib/metadataSchema');
+const { validateSelection } = require('./lib/taxonomy');
+const { readWorkbook } = require('./lib/uploadPipeline');
+const { validateExtraction } = require('./lib/validationRules');
+const { canAccessCompany } = require('./lib/auth');
+const { toCsv } = require('./lib/reportExport');
+
+const USAGE = `Usage: node api/bulk-upload.js <folder> --manifest <manifest.csv|.json|.xlsx> [options]
+
+Uploads the workbooks of <folder> listed in the manifest, each with its own
+metadata. Every entry is checked locally first; nothing is sent when one fails.
+
+Options:
+  --manifest <file>     One row per workbook: file, company, business_unit, location,
+                        time_period, esg_topic, esg_metric, unit. In CSV and Excel
+                        manifests, separate several values of a field with ";"
+  --api <url>           Functions host or site (default API_BASE_URL or http://localhost:7071)
+  --user <email>        Signed-in user to act as on a local Functions host (default TEST_USER)
+  --cookie <value>      StaticWebAppsAuthCookie of a signed-in session, for a deployed site
+  --concurrency <n>     Workbooks uploaded at the same time (default 4)
+  --retries <n>         Retries after network errors, 429 and 5xx responses (default 3)
+  --replace             Store workbooks that duplicate an earlier upload as a new version
+  --draft               Store the uploads as drafts instead of submitting them
+  --dry-run             Only run the local checks
+  --report <file>       Results report, .json or .csv (default bulk-upload-report-<time>.json)
+  --help                Show this help`;
+
+// Workbooks above this size go through the resumable /api/uploads flow, like on the Quick Upload page
+const CHUNKED_UPLOAD_THRESHOLD = 8 * 1024 * 1024;
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+const REPORT_COLUMNS = ['file', 'status', 'httpStatus', 'code', 'error', 'details', 'company', 'blobName', 'replaces',
+    'validationStatus', 'warningCount', 'attempts', 'durationMs'];
+
+class BulkUploadError extends Error {}
+
+function parseOptions(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            manifest: { type: 'string' },
+            api: { type: 'string', default: process.env.API_BASE_URL || 'http://localhost:7071' },
+            user: { type: 'string', default: process.env.TEST_USER },
+            cookie: { type: 'string' },
+            concurrency: { type: 'string', default: '4' },
+            retries: { type: 'string', default: '3' },
+            replace: { type: 'boolean', default: false },
+            draft: { type: 'boolean', default: false },
+            'dry-run': { type: 'boolean', default: false },
+            report: { type: 'string' },
+            help: { type: 'boolean', default: false }
+        }
+    });
+    if (values.help) return { help: true };
+
+    const concurrency = Number(values.concurrency);
+    const retries = Number(values.retries);
+    if (positionals.length !== 1 || !values.manifest) throw new BulkUploadError('A folder and --manifest are required');
+    if (!Number.isInteger(concurrency) || concurrency < 1) throw new BulkUploadError('--concurrency must be a positive whole number');
+    if (!Number.isInteger(retries) || retries < 0) throw new BulkUploadError('--retries must be a whole number');
+
+    return {
+        folder: path.resolve(positionals[0]),
+        manifest: path.resolve(values.manifest),
+        api: values.api.replace(/\/+$/, ''),
+        user: values.user,
+        cookie: values.cookie,
+        concurrency,
+        retries,
+        replace: values.replace,
+        draft: values.draft,
+        dryRun: values['dry-run'],
+        report: path.resolve(values.report || `bulk-upload-report-${new Date().toISOString().replace(/[:.]/g, '-')}.json`)
+    };
+}
+
+// A manifest cell as the text it shows; dates as YYYY-MM-DD
+function manifestCell(cell) {
+    return cell.value instanceof Date ? cell.value.toISOString().slice(0, 10) : cell.text.trim();
+}
+
+// The first sheet of an Excel manifest, or a CSV manifest read as UTF-8 text, as objects keyed by the header row
+async function readSpreadsheetManifest(manifestPath) {
+    const workbook = new ExcelJS.Workbook();
+    let sheet;
+    if (/\.csv$/i.test(manifestPath)) {
+        // The identity map keeps "2024" and "2024-03" as text instead of numbers and dates
+        const text = fs.readFileSync(manifestPath, 'utf8').replace(/^\uFEFF/, '');
+        sheet = await workbook.csv.read(Readable.from([text]), { map: value => value });
+    } else {
+        await workbook.xlsx.load(fs.readFileSync(manifestPath));
+        sheet = workbook.worksheets[0];
+    }
+
+    const rows = [];
+    let headers = null;
+    sheet?.eachRow(row => {
+        const values = [];
+        row.eachCell({ includeEmpty: true }, (cell, column) => {
+            values[column - 1] = manifestCell(cell);
+        });
+        if (!headers) {
+            headers = values;
+            return;
+        }
+        const entry = {};
+        headers.forEach((header, i) => {
+            if (header) entry[header] = values[i] ?? '';
+        });
+        if (Object.values(entry).some(value => value !== '')) rows.push(entry);
+    });
+    return rows;
+}
+
+/**
+ * Manifest rows as `{ line, file, input }`, where `input` is the upload
+ * metadata in the structured form normalizeMetadata takes. JSON manifests are
+ * an array of objects (lists as arrays); CSV and Excel manifests have a header
+ * row and ";" between the values of a list.
+ */
+async function readManifest(manifestPath) {
+    if (!fs.existsSync(manifestPath)) throw new BulkUploadError(`Manifest not found: ${manifestPath}`);
+
+    let rows;
+    if (/\.json$/i.test(manifestPath)) {
+        try {
+            rows = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        } catch (parseError) {
+            throw new BulkUploadError(`Manifest is not valid JSON: ${parseError.message}`);
+        }
+        if (!Array.isArray(rows)) throw new BulkUploadError('A JSON manifest must be an array of entries');
+    } else {
+        try {
+            rows = await readSpreadsheetManifest(manifestPath);
+        } catch (readError) {
+            throw new BulkUploadError(`Manifest could not be read: ${readError.message}`);
+        }
+        rows = rows.map(row => {
+            const entry = {};
+            for (const [header, value] of Object.entries(row)) {
+                const key = header.trim().toLowerCase().replace(/[\s-]+/g, '_');
+                entry[key] = key === 'file' || key === 'company' ? value : String(value).split(';');
+            }
+            return entry;
+        });
+    }
+
+    return rows.map((row, index) => {
+        const input = {};
+        for (const field of METADATA_FIELDS) {
+            if (row[field] !== undefined) input[field] = row[field];
+        }
+        return {
+            // JSON entries count from 1, spreadsheet rows after the header row
+            line: /\.json$/i.test(manifestPath) ? index + 1 : index + 2,
+            file: typeof row.file === 'string' ? row.file.trim() : '',
+            input
+        };
+    });
+}
+
+function issue(message) {
+    return { status: 'invalid', error: message };
+}
+
+/**
+ * Runs the checks the API would run on one manifest entry that need no
+ * storage: the metadata schema and taxonomy, file inspection, parsing and the
+ * data quality rules. Comparisons with earlier uploads only happen on upload.
+ */
+async function checkEntry(entry, folder, seen) {
+    if (!entry.file) return issue('The entry names no file');
+    const filePath = path.resolve(folder, entry.file);
+    if (!filePath.startsWith(folder + path.sep)) return issue('The file is outside the folder');
+    if (!fs.existsSync(filePath)) return issue('File not found');
+    if (seen.has(filePath)) return issue(`Listed twice (also on line ${seen.get(filePath)})`);
+    seen.set(filePath, entry.line);
+
+    const { metadata, missingFields, errors } = normalizeMetadata(entry.input);
+    if (missingFields.length > 0) return issue(`Missing ${missingFields.join(', ')}`);
+    const selectionErrors = errors.length > 0 ? errors : validateSelection(metadata);
+    if (selectionErrors.length > 0) return issue(selectionErrors.map(e => e.message).join('; '));
+
+    const file = { filename: path.basename(filePath), data: fs.readFileSync(filePath) };
+    const read = await readWorkbook(file, metadata);
+    if (read.rejection) {
+        const { result } = read.rejection;
+        return { status: 'invalid', code: result.code, error: result.error, details: result.details };
+    }
+    const validation = validateExtraction(read.extraction, metadata);
+    if (validation.status === 'failed') {
+        return {
+            status: 'invalid',
+            code: 'VALIDATION_FAILED',
+            error: 'Workbook failed data quality checks',
+            details: validation.issues.filter(i => i.severity === 'error').map(i => `${i.sheet}!${i.cell}: ${i.message}`).join('; '),
+            validationStatus: validation.status
+        };
+    }
+    return {
+        status: 'valid',
+        filePath,
+        metadata,
+        contentHash: crypto.createHash('sha256').update(file.data).digest('hex'),
+        validationStatus: validation.status,
+        warningCount: validation.warningCount
+    };
+}
+
+function authHeaders(options) {
+    if (options.cookie) return { cookie: `StaticWebAppsAuthCookie=${options.cookie}` };
+    if (!options.user) return {};
+    // A Functions host trusts this header; Static Web Apps replaces it with the signed-in user
+    const principal = { identityProvider: 'aad', userId: `cli-${options.user}`, userDetails: options.user, userRoles: ['authenticated'] };
+    return { 'x-ms-client-principal': Buffer.from(JSON.stringify(principal)).toString('base64') };
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * fetch with retries: network errors and retryable statuses are tried again
+ * after 1, 2, 4... seconds (or the Retry-After the server asks for).
+ * Resolves to `{ response, body, attempts }` with the JSON body when there is one.
+ */
+async function request(url, init, retries) {
+    for (let attempt = 1; ; attempt++) {
+        let response = null;
+        let failure = null;
+        try {
+            response = await fetch(url, typeof init === 'function' ? init() : init);
+        } catch (error) {
+            failure = error;
+        }
+        if (response && (!RETRYABLE_STATUSES.includes(response.status) || attempt > retries)) {
+            const text = await response.text();
+            let body = null;
+            try {
+                body = JSON.parse(text);
+            } catch (parseError) {
+                body = { error: text.slice(0, 200) || response.statusText };
+            }
+            return { response, body, attempts: attempt };
+        }
+        if (attempt > retries) throw failure;
+        const retryAfter = Number(response?.headers.get('retry-after'));
+        await sleep(retryAfter > 0 ? retryAfter * 1000 : 1000 * 2 ** (attempt - 1));
+    }
+}
+
+async function sendMultipart(entry, data, options, headers) {
+    const params = new URLSearchParams();
+    if (options.replace) params.set('replace', 'true');
+    if (options.draft) params.set('draft', 'true');
+    const form = () => {
+        const formData = new FormData();
+        formData.append('metadata', JSON.stringify(entry.metadata));
+        formData.append('file', new Blob([data]), path.basename(entry.filePath));
+        return { method: 'POST', headers, body: formData };
+    };
+    return request(`${options.api}/api/storage?${params}`, form, options.retries);
+}
+
+// Grant, parts, finalize: see "Resumable uploads" in the readme
+async function sendInChunks(entry, data, options, headers) {
+    const json = { ...headers, 'content-type': 'application/json' };
+    const grant = await request(`${options.api}/api/uploads`, {
+        method: 'POST',
+        headers: json,
+        body: JSON.stringify({ fileName: path.basename(entry.filePath), size: data.length })
+    }, options.retries);
+    if (!grant.response.ok) return grant;
+
+    const { uploadId, token, chunkSize, chunkCount } = grant.body;
+    let attempts = grant.attempts;
+    for (let index = 0; index < chunkCount; index++) {
+        const chunk = await request(`${options.api}/api/uploads/${uploadId}/chunks/${index}`, {
+            method: 'PUT',
+            headers: { ...headers, 'x-upload-token': token },
+            body: data.subarray(index * chunkSize, (index + 1) * chunkSize)
+        }, options.retries);
+        attempts += chunk.attempts - 1;
+        if (!chunk.response.ok) return chunk;
+    }
+
+    const finalized = await request(`${options.api}/api/uploads/${uploadId}/finalize`, {
+        method: 'POST',
+        headers: json,
+        body: JSON.stringify({ sha256: entry.contentHash, metadata: entry.metadata, replace: options.replace, draft: options.draft })
+    }, options.retries);
+    return { ...finalized, attempts: attempts + finalized.attempts - 1 };
+}
+
+async function uploadEntry(entry, options, headers) {
+    const started = Date.now();
+    const data = fs.readFileSync(entry.filePath);
+    try {
+        const send = data.length > CHUNKED_UPLOAD_THRESHOLD ? sendInChunks : sendMultipart;
+        const { response, body, attempts } = await send(entry, data, options, headers);
+        // Single-file uploads answer with the file's result next to `results`
+        const result = (body.results && body.results[0]) || body;
+        let status = 'rejected';
+        if (response.ok && result.success) status = 'uploaded';
+        else if (result.code === 'DUPLICATE_FILE') status = 'duplicate';
+        else if (response.status >= 500) status = 'failed';
+        return {
+            status,
+            httpStatus: response.status,
+            code: result.code,
+            error: result.success ? null : result.error,
+            details: result.details,
+            blobName: result.fileName || result.duplicateOf?.name,
+            replaces: result.replaces,
+            validationStatus: result.validation?.status || entry.validationStatus,
+            warningCount: result.validation?.warningCount ?? entry.warningCount,
+            attempts,
+            durationMs: Date.now() - started
+        };
+    } catch (error) {
+        return { status: 'failed', error: error.cause?.message || error.message, durationMs: Date.now() - started };
+    }
+}
+
+// Runs `worker` over `items` with at most `concurrency` at a time, keeping the order of the results
+async function mapConcurrently(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const lanes = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+    await Promise.all(lanes);
+    return results;
+}
+
+async function checkAccount(entries, options, headers) {
+    let me;
+    try {
+        me = await request(`${options.api}/api/me`, { headers }, options.retries);
+    } catch (error) {
+        throw new BulkUploadError(`Cannot reach ${options.api}: ${error.cause?.message || error.message}`);
+    }
+    const { response, body } = me;
+    const user = body && body.user;
+    if (!response.ok || !user) {
+        throw new BulkUploadError(`Not signed in at ${options.api}. Pass --user for a local Functions host or --cookie for the site.`);
+    }
+    if (!user.roles.some(role => role === 'uploader' || role === 'admin')) {
+        throw new BulkUploadError(`${user.userDetails} may not upload (roles: ${user.roles.join(', ') || 'none'})`);
+    }
+    const companies = [...new Set(entries.map(entry => entry.metadata.company))];
+    const denied = companies.filter(company => !canAccessCompany(user, company));
+    if (denied.length > 0) {
+        throw new BulkUploadError(`${user.userDetails} is not assigned to ${denied.map(company => `"${company}"`).join(', ')}`);
+    }
+    return user;
+}
+
+function writeReport(reportPath, rows, summary) {
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    if (/\.csv$/i.test(reportPath)) {
+        fs.writeFileSync(reportPath, toCsv(rows, REPORT_COLUMNS));
+    } else {
+        fs.writeFileSync(reportPath, JSON.stringify({ ...summary, results: rows }, null, 2) + '\n');
+    }
+}
+
+function toReportRow(outcome) {
+    const row = {};
+    for (const column of REPORT_COLUMNS) row[column] = outcome[column] ?? null;
+    row.company = outcome.metadata?.company || outcome.input.company || null;
+    return row;
+}
+
+async function bulkUpload(options) {
+    const started = new Date();
+    if (!fs.existsSync(options.folder) || !fs.statSync(options.folder).isDirectory()) {
+        throw new BulkUploadError(`Folder not found: ${options.folder}`);
+    }
+    const entries = await readManifest(options.manifest);
+    console.log(`Manifest: ${entries.length} entries from ${options.manifest}`);
+
+    // Every entry is checked before anything is sent
+    const seen = new Map();
+    const checked = [];
+    for (const entry of entries) {
+        checked.push({ ...entry, ...await checkEntry(entry, options.folder, seen) });
+    }
+    const invalid = checked.filter(entry => entry.status === 'invalid');
+    for (const entry of invalid) {
+        console.log(`❌ line ${entry.line}: ${entry.file || '(no file)'}: ${entry.error}${entry.details ? ` (${entry.details})` : ''}`);
+    }
+    const listed = new Set(checked.map(entry => entry.filePath || path.resolve(options.folder, entry.file)));
+    const unlisted = fs.readdirSync(options.folder).filter(name => /\.xlsx$/i.test(name) && !listed.has(path.join(options.folder, name)));
+    if (unlisted.length > 0) console.log(`⚠️ Not in the manifest, skipped: ${unlisted.join(', ')}`);
+    console.log(`Checked: ${checked.length - invalid.length} valid, ${invalid.length} invalid`);
+
+    let outcomes = checked.map(entry => entry.status === 'invalid' || options.dryRun ? entry : { ...entry, status: 'not sent' });
+
+    if (!options.dryRun && invalid.length === 0) {
+        const headers = authHeaders(options);
+        const user = await checkAccount(checked, options, headers);
+        console.log(`Uploading ${checked.length} workbooks to ${options.api} as ${user.userDetails} (${options.concurrency} at a time)`);
+        let done = 0;
+        outcomes = await mapConcurrently(checked, options.concurrency, async entry => {
+            const outcome = await uploadEntry(entry, options, headers);
+            done++;
+            const icon = { uploaded: '✅', duplicate: '⏭️' }[outcome.status] || '❌';
+            console.log(`${icon} [${done}/${checked.length}] ${entry.file}: ${outcome.status}${outcome.error ? ` - ${outcome.error}` : ''}`);
+            return { ...entry, ...outcome };
+        });
+    } else if (!options.dryRun) {
+        console.log('Nothing uploaded: fix the invalid entries and run again.');
+    }
+
+    const rows = outcomes.map(toReportRow);
+    const counts = {};
+    for (const row of rows) counts[row.status] = (counts[row.status] || 0) + 1;
+    writeReport(options.report, rows, {
+        startedAt: started.toISOString(),
+        finishedAt: new Date().toISOString(),
+        api: options.dryRun ? null : options.api,
+        dryRun: options.dryRun,
+        manifest: options.manifest,
+        folder: options.folder,
+        counts,
+        unlisted
+    });
+    console.log(`\n${Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ')}. Report: ${options.report}`);
+
+    // Duplicates were uploaded before, so a rerun of a finished backfill still succeeds
+    return rows.every(row => ['valid', 'uploaded', 'duplicate'].includes(row.status));
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseOptions(process.argv.slice(2));
+    } catch (error) {
+        if (!(error instanceof BulkUploadError) && !String(error.code).startsWith('ERR_PARSE_ARGS')) throw error;
+        console.error(`❌ ${error.message}\n\n${USAGE}`);
+        process.exitCode = 2;
+        return;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    try {
+        process.exitCode = await bulkUpload(options) ? 0 : 1;
+    } catch (error) {
+        if (!(error instanceof BulkUploadError)) throw error;
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 2;
+    }
+}
+
+main();
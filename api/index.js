@@ -1,13 +1,108 @@
 const { app } = require('@azure/functions');
-const { BlobServiceClient } = require('@azure/storage-blob');
 const multipart = require('parse-multipart');
+const { STAGING_CONTAINER, AUDIT_CONTAINER, getStorageProvider, StorageConfigError, InvalidBlobNameError } = require('./lib/storage');
+const { METADATA_FIELDS, slugify, extractionName, manifestName, validationName, isSidecar, sidecarNames, matchesFilters, toFileSummary, readFileSummary, listUploads } = require('./lib/uploads');
+const { normalizeMetadata } = require('./lib/metadataSchema');
+const { checkMetadata, processWorkbook, restorePreviousVersion } = require('./lib/uploadPipeline');
+const { loadTaxonomy, getPublicTaxonomy, validateSelection, parsePeriod, periodContains, periodBounds } = require('./lib/taxonomy');
+const { ROLES, AuthError, getUser, canAccessCompany, requireRole, requireCompany } = require('./lib/auth');
+const { STATUSES, WorkflowError, checkTransition, applyTransition, checkDeletable, getStatusHistory } = require('./lib/workflow');
+const { DIMENSIONS, GRANULARITIES, aggregate, collectRows } = require('./lib/metricsSummary');
+const { TemplateError, buildTemplate } = require('./lib/submissionTemplate');
+const { maxUploadBytes } = require('./lib/fileInspection');
+const { UploadSessionError, createUploadSession, loadUploadSession, checkUploadToken, describeUploadSession, stageChunk, assembleUpload, deleteUploadSession } = require('./lib/resumableUploads');
+const { checkLiveness, checkReadiness } = require('./lib/health');
+const { EVENT_TYPES, AUDIT_COLUMNS, recordEvent, uploadEvents, queryEvents, toAuditRecords } = require('./lib/audit');
+const { EXPORT_FORMATS, DATA_COLUMNS, DISCLOSURE_COLUMNS, loadDisclosures, inPeriodRange, toDataRecords, toDisclosureRecords, toUploadRecords, toCsv, toWorkbook } = require('./lib/reportExport');
 
-// Message function (v4 model)
-app.http('message', {
-    methods: ['GET', 'POST'],
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_FILES_PER_UPLOAD = 25;
+const DEFAULT_AUDIT_LIMIT = 200;
+const MAX_AUDIT_LIMIT = 5000;
+const AUDIT_FORMATS = ['json', 'csv', 'jsonl'];
+
+// Health: /api/health/live answers while the host runs, /api/health (or /ready) also checks config and storage
+app.http('health', {
+    methods: ['GET'],
     authLevel: 'anonymous',
+    route: 'health/{mode?}',
     handler: async (request, context) => {
-        return { body: `Hello, from the API!` };
+        const mode = request.params.mode || 'ready';
+        if (mode !== 'live' && mode !== 'ready') {
+            return {
+                status: 404,
+                jsonBody: {
+                    success: false,
+                    error: `Unknown health check "${mode}" (expected live or ready)`
+                }
+            };
+        }
+
+        const health = mode === 'live' ? checkLiveness() : await checkReadiness({ log: (...args) => context.log(...args) });
+        if (health.status === 'unavailable') {
+            context.log('Error: API not ready:', JSON.stringify(health.checks));
+        }
+        return {
+            status: health.status === 'unavailable' ? 503 : 200,
+            headers: {
+                'Cache-Control': 'no-store'
+            },
+            jsonBody: {
+                success: health.status !== 'unavailable',
+                mode,
+                ...health
+            }
+        };
+    }
+});
+
+// ESG taxonomy used to render the upload form
+app.http('taxonomy', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        try {
+            return {
+                status: 200,
+                headers: {
+                    'Cache-Control': 'public, max-age=300'
+                },
+                jsonBody: {
+                    success: true,
+                    taxonomy: getPublicTaxonomy()
+                }
+            };
+        } catch (error) {
+            return errorResponse(context, error);
+        }
+    }
+});
+
+// The signed-in user with their roles and companies (from the Static Web Apps client principal)
+app.http('me', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'me',
+    handler: async (request, context) => {
+        const user = getUser(request);
+        if (!user) {
+            return {
+                status: 401,
+                jsonBody: {
+                    success: false,
+                    error: 'Not signed in',
+                    loginUrl: '/.auth/login/aad'
+                }
+            };
+        }
+        return {
+            status: 200,
+            jsonBody: {
+                success: true,
+                user
+            }
+        };
     }
 });
 
@@ -19,6 +114,10 @@ app.http('storage', {
         try {
             context.log('Storage upload request received');
 
+            // Only uploaders and admins may store files, and only for their companies (checked below)
+            const user = requireRole(request, ['uploader', 'admin']);
+            context.log('Uploader:', user.userDetails);
+
             // Get boundary from content-type header
             const contentType = request.headers.get('content-type') || request.headers.get('Content-Type');
             if (!contentType) {
@@ -46,6 +145,20 @@ app.http('storage', {
 
             context.log('Boundary extracted:', boundary);
 
+            // Refuse oversized bodies before buffering them; large workbooks go through /api/uploads
+            const maxBytes = maxUploadBytes();
+            if (Number(request.headers.get('content-length')) > maxBytes) {
+                context.log('Error: Upload too large:', request.headers.get('content-length'), 'bytes');
+                return {
+                    status: 413,
+                    jsonBody: {
+                        success: false,
+                        error: `Upload is too large. The limit is ${maxBytes / 1024 / 1024} MB per request.`,
+                        code: 'FILE_TOO_LARGE'
+                    }
+                };
+            }
+
             // Get raw body as Buffer
             const bodyBuffer = Buffer.from(await request.arrayBuffer());
             context.log('Body buffer size:', bodyBuffer.length, 'bytes');
@@ -67,9 +180,9 @@ app.http('storage', {
                 };
             }
 
-            // Find the file part
-            const filePart = parts.find(p => p.filename);
-            if (!filePart) {
+            // Find the file parts (one request may carry a batch of workbooks)
+            const fileParts = parts.filter(p => p.filename);
+            if (fileParts.length === 0) {
                 context.log('Error: No file part found in upload');
                 return {
                     status: 400,
@@ -80,130 +193,1032 @@ app.http('storage', {
                 };
             }
 
-            context.log('File found:', filePart.filename, 'Size:', filePart.data?.length || 0, 'bytes');
-
-            // Validate Excel file type
-            const isExcelFile = /\.(xlsx|xls)$/i.test(filePart.filename);
-            if (!isExcelFile) {
-                context.log('Error: Invalid file type:', filePart.filename);
+            if (fileParts.length > MAX_FILES_PER_UPLOAD) {
+                context.log('Error: Too many files in upload:', fileParts.length);
                 return {
                     status: 400,
                     jsonBody: {
                         success: false,
-                        error: 'Invalid file type. Only .xlsx and .xls files are allowed.'
+                        error: `Too many files. A single upload may contain at most ${MAX_FILES_PER_UPLOAD} files.`
                     }
                 };
             }
 
-            // Get metadata fields
+            context.log('Files found:', fileParts.length);
+
+            // Structured clients send the metadata as one JSON part; older ones send a form field per value
             const fields = {};
             for (const part of parts) {
                 if (!part.filename && part.name) {
-                    fields[part.name] = part.data.toString();
+                    fields[part.name] = part.data.toString('utf8');
                 }
             }
 
-            context.log('Metadata fields:', Object.keys(fields));
+            let input = fields;
+            if (fields.metadata !== undefined) {
+                try {
+                    input = JSON.parse(fields.metadata);
+                } catch (parseError) {
+                    context.log('Error: Invalid metadata JSON:', parseError.message);
+                    return {
+                        status: 400,
+                        jsonBody: {
+                            success: false,
+                            error: 'Invalid metadata JSON',
+                            details: parseError.message
+                        }
+                    };
+                }
+            }
+
+            context.log('Metadata fields:', Object.keys(input || {}));
 
-            // Validate required fields
-            const requiredFields = ['company', 'business_unit', 'location', 'time_period', 'esg_topic', 'esg_metric', 'unit'];
-            const missingFields = requiredFields.filter(field => !fields[field] || fields[field].trim() === '');
+            const checked = checkUploadMetadata(context, user, input);
+            if (checked.response) return checked.response;
+            const { metadata, taxonomy } = checked;
 
-            if (missingFields.length > 0) {
-                context.log('Error: Missing required fields:', missingFields);
+            // Resolve the configured storage backend (Azure Blob Storage or local disk)
+            let storage;
+            try {
+                storage = getStorageProvider();
+            } catch (configError) {
+                if (!(configError instanceof StorageConfigError)) throw configError;
+                context.log('Error:', configError.message);
                 return {
-                    status: 400,
+                    status: 500,
                     jsonBody: {
                         success: false,
-                        error: 'Missing required fields',
-                        missingFields: missingFields
+                        error: configError.message
                     }
                 };
             }
 
-            // Load connection string from local settings if not in environment
-            let connectionString = process.env.AzureWebJobsStorage;
-            if (!connectionString) {
-                const fs = require('fs');
-                const path = require('path');
-                const localSettingsPath = path.join(__dirname, 'local.settings.json');
-                if (fs.existsSync(localSettingsPath)) {
-                    const localSettings = JSON.parse(fs.readFileSync(localSettingsPath, 'utf8'));
-                    connectionString = localSettings.Values?.AzureWebJobsStorage;
+            // `replace` stores workbooks that duplicate an earlier upload as its new version
+            const replace = isTrue(fields.replace) || isTrue(request.query.get('replace'));
+            // Drafts wait for an explicit submit before reviewers see them
+            const initialStatus = isTrue(fields.draft) || isTrue(request.query.get('draft')) ? 'draft' : 'submitted';
+
+            // Each file shares the metadata but gets its own result
+            const outcomes = [];
+            for (const filePart of fileParts) {
+                try {
+                    outcomes.push(await processWorkbook({
+                        storage,
+                        file: filePart,
+                        metadata,
+                        taxonomyVersion: taxonomy.version,
+                        replace,
+                        uploadedBy: user,
+                        status: initialStatus,
+                        log: (...args) => context.log(...args)
+                    }));
+                } catch (error) {
+                    if (fileParts.length === 1) throw error;
+                    context.log('Unexpected error storing', filePart.filename, error);
+                    outcomes.push({
+                        status: 500,
+                        result: {
+                            success: false,
+                            originalFileName: filePart.filename,
+                            error: 'Internal server error',
+                            details: error.message
+                        }
+                    });
                 }
             }
 
-            if (!connectionString) {
-                context.log('Error: Azure Storage connection string not found');
+            const results = outcomes.map(outcome => outcome.result);
+            for (const result of results) {
+                await auditUpload(context, user, result, metadata);
+            }
+            const uploadedCount = results.filter(result => result.success).length;
+
+            if (outcomes.length === 1) {
+                const [{ status, result }] = outcomes;
                 return {
-                    status: 500,
+                    status,
                     jsonBody: {
-                        success: false,
-                        error: 'Azure Storage configuration not found'
+                        ...result,
+                        ...(result.success && { message: 'File uploaded successfully', metadata }),
+                        results
                     }
                 };
             }
 
-            // Upload to Azure Blob Storage
-            const blobServiceClient = BlobServiceClient.fromConnectionString(connectionString);
-            const containerName = 'upload';
-            const containerClient = blobServiceClient.getContainerClient(containerName);
+            let status = 207;
+            if (uploadedCount === results.length) status = 200;
+            if (uploadedCount === 0) status = outcomes.every(outcome => outcome.status === 409) ? 409 : 422;
+
+            return {
+                status,
+                jsonBody: {
+                    success: uploadedCount === results.length,
+                    message: `${uploadedCount} of ${results.length} files uploaded successfully`,
+                    uploadedCount,
+                    rejectedCount: results.length - uploadedCount,
+                    duplicateCount: results.filter(result => result.code === 'DUPLICATE_FILE').length,
+                    metadata,
+                    results
+                }
+            };
+
+        } catch (error) {
+            return errorResponse(context, error);
+        }
+    }
+});
+
+// Resumable uploads: a grant to send a large workbook in parts, straight to storage where possible
+app.http('uploadGrant', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'uploads',
+    handler: async (request, context) => {
+        try {
+            const user = requireRole(request, ['uploader', 'admin']);
+            const read = await readJsonBody(request);
+            if (read.response) return read.response;
+
+            const { session, token } = await createUploadSession(getStorageProvider(STAGING_CONTAINER), {
+                fileName: read.body.fileName,
+                size: read.body.size,
+                user
+            });
+            context.log('Upload grant:', session.uploadId, session.fileName, session.size, 'bytes for', user.userDetails);
+
+            return {
+                status: 201,
+                jsonBody: {
+                    success: true,
+                    token,
+                    ...await describeUploadSession(getStorageProvider(STAGING_CONTAINER), session)
+                }
+            };
+        } catch (error) {
+            return errorResponse(context, error);
+        }
+    }
+});
+
+// Progress of a resumable upload (which parts arrived), or DELETE to abandon it
+app.http('uploadSession', {
+    methods: ['GET', 'DELETE'],
+    authLevel: 'anonymous',
+    route: 'uploads/{uploadId}',
+    handler: async (request, context) => {
+        try {
+            const user = requireRole(request, ['uploader', 'admin']);
+            const staging = getStorageProvider(STAGING_CONTAINER);
+            const session = await loadUploadSession(staging, request.params.uploadId, user);
+
+            if (request.method === 'DELETE') {
+                await deleteUploadSession(staging, session);
+                context.log('Upload abandoned:', session.uploadId);
+                return { status: 200, jsonBody: { success: true, message: 'Upload cancelled' } };
+            }
+
+            return {
+                status: 200,
+                jsonBody: {
+                    success: true,
+                    ...await describeUploadSession(staging, session)
+                }
+            };
+        } catch (error) {
+            return errorResponse(context, error);
+        }
+    }
+});
+
+// One part of a resumable upload, as the raw request body (used when storage has no direct upload URL)
+app.http('uploadChunk', {
+    methods: ['PUT'],
+    authLevel: 'anonymous',
+    route: 'uploads/{uploadId}/chunks/{index}',
+    handler: async (request, context) => {
+        try {
+            const user = requireRole(request, ['uploader', 'admin']);
+            const staging = getStorageProvider(STAGING_CONTAINER);
+            const session = await loadUploadSession(staging, request.params.uploadId, user);
+            checkUploadToken(session, request.headers.get('x-upload-token'));
+
+            const index = /^\d+$/.test(request.params.index) ? Number(request.params.index) : NaN;
+            const data = Buffer.from(await request.arrayBuffer());
+            await stageChunk(staging, session, index, data);
 
-            // Ensure container exists
-            await containerClient.createIfNotExists({
-                access: 'blob'
+            return {
+                status: 200,
+                jsonBody: {
+                    success: true,
+                    uploadId: session.uploadId,
+                    index,
+                    size: data.length
+                }
+            };
+        } catch (error) {
+            return errorResponse(context, error);
+        }
+    }
+});
+
+// Completes a resumable upload: checks size and SHA-256, then stores it like POST /api/storage
+app.http('uploadFinalize', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'uploads/{uploadId}/finalize',
+    handler: async (request, context) => {
+        try {
+            const user = requireRole(request, ['uploader', 'admin']);
+            const staging = getStorageProvider(STAGING_CONTAINER);
+            const session = await loadUploadSession(staging, request.params.uploadId, user);
+
+            // { "sha256": "...", "metadata": { ... }, "replace": false, "draft": false }
+            const read = await readJsonBody(request);
+            if (read.response) return read.response;
+            const { sha256, metadata: input, replace = false, draft = false } = read.body;
+
+            // Metadata problems leave the parts staged so the client can correct them and finalize again
+            const checked = checkUploadMetadata(context, user, input);
+            if (checked.response) return checked.response;
+            const { metadata, taxonomy } = checked;
+
+            const file = await assembleUpload(staging, session, sha256);
+            context.log('Upload assembled:', session.uploadId, file.filename, file.data.length, 'bytes');
+
+            const { status, result } = await processWorkbook({
+                storage: getStorageProvider(),
+                file,
+                metadata,
+                taxonomyVersion: taxonomy.version,
+                replace: replace === true,
+                uploadedBy: user,
+                status: draft === true ? 'draft' : 'submitted',
+                log: (...args) => context.log(...args)
             });
 
-            // Create unique filename with timestamp
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const fileExtension = filePart.filename.split('.').pop();
-            const uniqueFilename = `${fields.company}_${timestamp}.${fileExtension}`;
+            await auditUpload(context, user, result, metadata);
 
-            const blockBlobClient = containerClient.getBlockBlobClient(uniqueFilename);
+            // A duplicate can still be finalized again with `replace`; anything else ends the session
+            if (result.code !== 'DUPLICATE_FILE') {
+                await deleteUploadSession(staging, session);
+            }
 
-            // Set appropriate content type for Excel files
-            const contentTypeMap = {
-                'xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-                'xls': 'application/vnd.ms-excel'
+            return {
+                status,
+                jsonBody: {
+                    ...result,
+                    ...(result.success && { message: 'File uploaded successfully', metadata }),
+                    results: [result]
+                }
             };
-            const fileContentType = contentTypeMap[fileExtension.toLowerCase()] || 'application/octet-stream';
+        } catch (error) {
+            return errorResponse(context, error);
+        }
+    }
+});
 
-            await blockBlobClient.uploadData(filePart.data, {
-                blobHTTPHeaders: {
-                    blobContentType: fileContentType
-                },
-                metadata: {
-                    originalFilename: filePart.filename,
-                    uploadedAt: new Date().toISOString(),
-                    ...fields
+function isTrue(value) {
+    return value === 'true' || value === '1';
+}
+
+/**
+ * Appends an event to the audit trail for the current request. Failures are
+ * logged and the request goes on, except for `required` events: data leaving
+ * the system (downloads, exports), deletes and review decisions are recorded
+ * first and refused when they cannot be.
+ */
+async function audit(context, user, event, { required = false } = {}) {
+    try {
+        await recordEvent(getStorageProvider(AUDIT_CONTAINER), {
+            ...event,
+            actor: user,
+            requestId: context.invocationId
+        });
+    } catch (error) {
+        if (required) throw error;
+        context.log('Error: Audit event not recorded:', event.type, event.blobName || '', error.message);
+    }
+}
+
+// The parts of an upload the audit trail keeps as its before/after value
+function auditedFile(summary) {
+    return {
+        originalFileName: summary.originalFileName,
+        status: summary.status,
+        contentHash: summary.contentHash,
+        uploadedBy: summary.uploadedBy,
+        metadata: summary.metadata
+    };
+}
+
+// Records a stored upload and, when it replaced an earlier version, that version being superseded
+async function auditUpload(context, user, result, metadata) {
+    for (const event of uploadEvents(user, result, metadata)) {
+        await audit(context, user, event);
+    }
+}
+
+// Upload metadata checks shared with the MCP tools; returns `{ metadata, taxonomy }` or `{ response }` with the 400 to send back
+function checkUploadMetadata(context, user, input) {
+    const checked = checkMetadata(user, input, (...args) => context.log(...args));
+    if (!checked.rejection) return checked;
+    return {
+        response: {
+            status: 400,
+            jsonBody: {
+                success: false,
+                ...checked.rejection
+            }
+        }
+    };
+}
+
+// Parses an optional JSON request body; returns `{ body }` or `{ response }` with the 400 to send back
+async function readJsonBody(request) {
+    const text = await request.text();
+    if (!text.trim()) return { body: {} };
+    try {
+        const body = JSON.parse(text);
+        if (body && typeof body === 'object' && !Array.isArray(body)) return { body };
+        throw new Error('Expected a JSON object');
+    } catch (parseError) {
+        return {
+            response: {
+                status: 400,
+                jsonBody: {
+                    success: false,
+                    error: 'Invalid JSON body',
+                    details: parseError.message
                 }
+            }
+        };
+    }
+}
+
+// Maps errors shared by the file endpoints to responses
+function errorResponse(context, error) {
+    if (error instanceof StorageConfigError) {
+        context.log('Error:', error.message);
+        return { status: 500, jsonBody: { success: false, error: error.message } };
+    }
+    if (error instanceof AuthError) {
+        context.log('Access denied:', error.message);
+        return { status: error.status, jsonBody: { success: false, error: error.message } };
+    }
+    if (error instanceof WorkflowError) {
+        context.log('Workflow error:', error.message);
+        return { status: error.status, jsonBody: { success: false, error: error.message } };
+    }
+    if (error instanceof UploadSessionError) {
+        context.log('Upload error:', error.code, error.message);
+        return { status: error.status, jsonBody: { success: false, error: error.message, code: error.code, ...error.details } };
+    }
+    if (error instanceof InvalidBlobNameError) {
+        return { status: 400, jsonBody: { success: false, error: 'Invalid file name' } };
+    }
+    context.log('Unexpected error:', error);
+    return {
+        status: 500,
+        jsonBody: {
+            success: false,
+            error: 'Internal server error',
+            details: error.message
+        }
+    };
+}
+
+function notFound(name) {
+    return {
+        status: 404,
+        jsonBody: {
+            success: false,
+            error: 'File not found',
+            fileName: name
+        }
+    };
+}
+
+// List uploaded files of the user's companies (paginated, filterable by upload metadata; replaced versions only on request)
+app.http('files', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'files',
+    handler: async (request, context) => {
+        try {
+            const user = requireRole(request, ROLES);
+            const pageSize = Math.min(
+                Math.max(parseInt(request.query.get('pageSize'), 10) || DEFAULT_PAGE_SIZE, 1),
+                MAX_PAGE_SIZE
+            );
+
+            const filters = {};
+            for (const field of METADATA_FIELDS) {
+                const value = request.query.get(field);
+                if (value && value.trim()) filters[field] = value;
+            }
+
+            const includeSuperseded = isTrue(request.query.get('includeSuperseded'));
+            // mine=true keeps the caller's own uploads
+            const mine = isTrue(request.query.get('mine'));
+            // Comma-separated review statuses, e.g. status=submitted or status=draft,rejected
+            const statuses = (request.query.get('status') || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+            const unknownStatus = statuses.find(item => !STATUSES.includes(item));
+            if (unknownStatus) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: `Unknown status "${unknownStatus}" (expected ${STATUSES.join(', ')})`
+                    }
+                };
+            }
+
+            // The continuation token is the (encoded) name of the last file on the previous page
+            const token = request.query.get('continuationToken');
+            const after = token ? Buffer.from(token, 'base64url').toString('utf8') : null;
+
+            const { files, hasMore } = await listUploads(getStorageProvider(), company => canAccessCompany(user, company), {
+                filters,
+                statuses,
+                includeSuperseded,
+                uploadedById: mine ? user.userId : null,
+                after,
+                limit: pageSize
             });
 
-            context.log('File uploaded successfully:', uniqueFilename);
+            const lastName = files.length > 0 ? files[files.length - 1].name : null;
+            return {
+                status: 200,
+                jsonBody: {
+                    success: true,
+                    files,
+                    count: files.length,
+                    filters: { ...filters, ...(statuses.length > 0 && { status: statuses }), ...(mine && { mine }) },
+                    continuationToken: hasMore ? Buffer.from(lastName, 'utf8').toString('base64url') : null
+                }
+            };
+        } catch (error) {
+            return errorResponse(context, error);
+        }
+    }
+});
+
+// Get metadata for, download (?download=true) or delete a single uploaded file
+app.http('file', {
+    methods: ['GET', 'DELETE'],
+    authLevel: 'anonymous',
+    route: 'files/{*name}',
+    handler: async (request, context) => {
+        try {
+            // Everyone assigned may read; deleting needs the uploader or admin role (see workflow.checkDeletable)
+            const user = requireRole(request, request.method === 'DELETE' ? ['uploader', 'admin'] : ROLES);
+            const name = request.params.name;
+            if (!name || isSidecar(name)) return notFound(name);
+
+            const storage = getStorageProvider();
+            const blob = await storage.getMetadata(name);
+            // Files of other companies are reported as missing rather than revealed
+            if (!blob || !canAccessCompany(user, toFileSummary(blob).metadata.company)) return notFound(name);
+
+            if (request.method === 'DELETE') {
+                const summary = toFileSummary(blob);
+                checkDeletable(user, summary);
+                await audit(context, user, {
+                    type: 'delete',
+                    blobName: name,
+                    company: summary.metadata.company,
+                    before: auditedFile(summary)
+                }, { required: true });
+
+                await storage.delete(name);
+                for (const sidecar of sidecarNames(name)) {
+                    await storage.delete(sidecar);
+                }
+                context.log('File deleted:', name);
+
+                // Deleting a replacement brings back the version it replaced
+                const { replaces } = summary;
+                const restored = replaces ? await restorePreviousVersion(storage, replaces, name) : false;
+                if (restored) context.log('Restored previous version:', replaces);
+
+                if (restored) {
+                    await audit(context, user, {
+                        type: 'metadata.update',
+                        blobName: replaces,
+                        company: summary.metadata.company,
+                        before: { supersededBy: name },
+                        after: { supersededBy: null },
+                        details: { reason: 'replacement deleted' }
+                    });
+                }
+                return {
+                    status: 200,
+                    jsonBody: {
+                        success: true,
+                        message: 'File deleted successfully',
+                        fileName: name,
+                        ...(restored && { restoredVersion: replaces })
+                    }
+                };
+            }
+
+            if (isTrue(request.query.get('download'))) {
+                const stream = await storage.openReadStream(name);
+                if (!stream) return notFound(name);
+                const { originalFileName, metadata, contentHash } = toFileSummary(blob);
+                const filename = originalFileName === name ? name.split('/').pop() : originalFileName;
+                // Nothing leaves without a trace: a download that cannot be audited is refused
+                try {
+                    await audit(context, user, {
+                        type: 'download',
+                        blobName: name,
+                        company: metadata.company,
+                        details: { contentHash }
+                    }, { required: true });
+                } catch (auditError) {
+                    // The stream is never returned, so it is closed here
+                    stream.destroy();
+                    throw auditError;
+                }
+                context.log('Streaming download:', name);
+                return {
+                    status: 200,
+                    headers: {
+                        'Content-Type': blob.contentType || 'application/octet-stream',
+                        'Content-Length': String(blob.size),
+                        'Content-Disposition': `attachment; filename="${filename.replace(/[^\x20-\x7e]|["\\]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(filename)}`
+                    },
+                    body: stream
+                };
+            }
 
+            const extraction = await storage.getMetadata(extractionName(name));
+            const manifest = await storage.getMetadata(manifestName(name));
+            const validation = await storage.get(validationName(name));
             return {
                 status: 200,
                 jsonBody: {
                     success: true,
-                    message: 'File uploaded successfully',
-                    fileName: uniqueFilename,
-                    originalFileName: filePart.filename,
-                    url: blockBlobClient.url,
-                    metadata: fields,
-                    uploadedAt: new Date().toISOString()
+                    file: {
+                        ...await readFileSummary(storage, blob),
+                        extractionFileName: extraction ? extraction.name : null,
+                        manifestFileName: manifest ? manifest.name : null,
+                        validation: validation ? JSON.parse(validation.data.toString('utf8')) : null,
+                        statusHistory: await getStatusHistory(storage, name)
+                    }
                 }
             };
+        } catch (error) {
+            return errorResponse(context, error);
+        }
+    }
+});
 
+// Review workflow: submit, approve, reject (comment required) or resubmit an upload
+app.http('submissions', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'submissions/{action}/{*name}',
+    handler: async (request, context) => {
+        try {
+            const user = requireRole(request, ROLES);
+            const { action, name } = request.params;
+            if (!name || isSidecar(name)) return notFound(name);
+
+            // Optional JSON body: { "comment": "..." }
+            const { body, response } = await readJsonBody(request);
+            if (response) return response;
+
+            const storage = getStorageProvider();
+            const blob = await storage.getMetadata(name);
+            if (!blob || !canAccessCompany(user, toFileSummary(blob).metadata.company)) return notFound(name);
+
+            // The decision is on record before it takes effect
+            const previous = toFileSummary(blob);
+            const next = checkTransition(previous, action, user, body.comment);
+            await audit(context, user, {
+                type: 'status.change',
+                blobName: name,
+                company: previous.metadata.company,
+                before: { status: previous.status },
+                after: { status: next.to, comment: next.comment },
+                details: { action }
+            }, { required: true });
+
+            const outcome = await applyTransition(storage, name, action, user, body.comment);
+            if (!outcome) return notFound(name);
+
+            context.log(`Upload ${action}:`, name, 'by', user.userDetails);
+            return {
+                status: 200,
+                jsonBody: {
+                    success: true,
+                    message: `Upload is now ${outcome.file.status}`,
+                    file: outcome.file,
+                    statusHistory: outcome.statusHistory
+                }
+            };
         } catch (error) {
-            context.log('Unexpected error:', error);
+            return errorResponse(context, error);
+        }
+    }
+});
+
+// Totals of approved upload data grouped by metadata dimensions and period, with optional year-over-year change
+app.http('metricsSummary', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'metrics/summary',
+    handler: async (request, context) => {
+        try {
+            const user = requireRole(request, ROLES);
+
+            const list = name => (request.query.get(name) || '').split(',').map(item => item.trim()).filter(Boolean);
+            const groupBy = list('groupBy').length > 0 ? list('groupBy') : ['metric'];
+            const granularity = request.query.get('granularity') || 'year';
+            const unknown = groupBy.find(dimension => !DIMENSIONS.includes(dimension));
+            if (unknown || !GRANULARITIES.includes(granularity)) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: unknown
+                            ? `Unknown groupBy dimension "${unknown}" (expected ${DIMENSIONS.join(', ')})`
+                            : `Unknown granularity "${granularity}" (expected ${GRANULARITIES.join(', ')})`
+                    }
+                };
+            }
+
+            // Filters: any dimension, comma-separated values matched case-insensitively
+            const filters = {};
+            for (const dimension of DIMENSIONS) {
+                const values = list(dimension).map(value => value.toLowerCase());
+                if (values.length > 0) filters[dimension] = values;
+            }
+            const { period: periodFilter, ...rowFilters } = filters;
+
+            const yoy = isTrue(request.query.get('yoy'));
+            const invalidPeriod = periodFilter && periodFilter.find(period => !parsePeriod(period));
+            if (invalidPeriod) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: `"${invalidPeriod}" is not a recognised period (use e.g. 2024, 2024-Q1 or 2024-03)`
+                    }
+                };
+            }
+            const wantedPeriods = periodFilter && periodFilter.map(parsePeriod);
+            const inPeriod = text => {
+                const period = parsePeriod(text);
+                return !!period && wantedPeriods.some(wanted => periodContains(wanted, period));
+            };
+            // With periods grouped, they are filtered after aggregation so year-over-year still sees the previous year
+            const periodGrouped = groupBy.includes('period') || yoy;
+
+            const storage = getStorageProvider();
+            const { rows, uploadCount } = await collectRows(storage, company => canAccessCompany(user, company));
+            const matching = rows.filter(row =>
+                Object.entries(rowFilters).every(([dimension, values]) => values.includes(String(row[dimension]).toLowerCase())) &&
+                (!wantedPeriods || periodGrouped || inPeriod(row.period)));
+
+            const summary = aggregate(matching, { groupBy, granularity, yoy });
+            const groups = wantedPeriods && periodGrouped
+                ? summary.groups.filter(group => inPeriod(group.key.period))
+                : summary.groups;
+
             return {
-                status: 500,
+                status: 200,
                 jsonBody: {
-                    success: false,
-                    error: 'Internal server error',
-                    details: error.message
+                    success: true,
+                    groupBy: summary.groupBy,
+                    granularity,
+                    yoy,
+                    filters,
+                    uploadCount,
+                    dataPointCount: matching.length,
+                    groups
+                }
+            };
+        } catch (error) {
+            return errorResponse(context, error);
+        }
+    }
+});
+
+// Stored data for auditors and group reporting: flat CSV, a consolidated workbook or the GRI/ESRS disclosure layout
+app.http('export', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'export',
+    handler: async (request, context) => {
+        try {
+            const user = requireRole(request, ROLES);
+
+            const format = (request.query.get('format') || 'csv').toLowerCase();
+            if (!EXPORT_FORMATS.includes(format)) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: `Unknown format "${format}" (expected ${EXPORT_FORMATS.join(', ')})`
+                    }
+                };
+            }
+
+            // Same metadata filters as GET /api/files
+            const filters = {};
+            for (const field of METADATA_FIELDS) {
+                const value = request.query.get(field);
+                if (value && value.trim()) filters[field] = value;
+            }
+
+            // Only approved data unless other statuses are asked for
+            const statusParam = (request.query.get('status') || 'approved').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+            const statuses = statusParam.length > 0 ? statusParam : ['approved'];
+            const unknownStatus = statuses.find(item => !STATUSES.includes(item));
+
+            // Period range, e.g. from=2023&to=2024-Q2
+            const fromText = (request.query.get('from') || '').trim();
+            const toText = (request.query.get('to') || '').trim();
+            const from = fromText ? parsePeriod(fromText) : null;
+            const to = toText ? parsePeriod(toText) : null;
+
+            const invalidPeriod = fromText && !from ? fromText : toText && !to ? toText : null;
+            let problem = null;
+            if (unknownStatus) {
+                problem = `Unknown status "${unknownStatus}" (expected ${STATUSES.join(', ')})`;
+            } else if (invalidPeriod) {
+                problem = `"${invalidPeriod}" is not a recognised period (use e.g. 2024, 2024-Q1 or 2024-03)`;
+            } else if (from && to && periodBounds(from).start > periodBounds(to).end) {
+                problem = `"from" (${fromText}) is after "to" (${toText})`;
+            }
+            if (problem) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: problem
+                    }
+                };
+            }
+
+            const storage = getStorageProvider();
+            const collected = await collectRows(
+                storage,
+                company => canAccessCompany(user, company),
+                upload => !upload.supersededBy && statuses.includes(upload.status) && matchesFilters(upload.metadata, filters)
+            );
+            const rows = collected.rows.filter(row => inPeriodRange(row.period, from, to));
+            const usedNames = new Set(rows.map(row => row.fileName));
+            const uploads = collected.uploads.filter(upload => usedNames.has(upload.name));
+            context.log('Export:', format, rows.length, 'rows from', uploads.length, 'uploads');
+
+            const baseName = [
+                format === 'disclosures' ? 'esg-disclosures' : 'esg-export',
+                filters.company ? slugify(filters.company, 'company') : 'all-companies',
+                fromText || toText ? `${slugify(fromText, 'start')}-to-${slugify(toText, 'latest')}` : null
+            ].filter(Boolean).join('-');
+
+            let body;
+            let contentType;
+            let extension;
+            if (format === 'xlsx') {
+                body = await toWorkbook({
+                    data: toDataRecords(rows, uploads),
+                    disclosures: toDisclosureRecords(rows),
+                    uploads: toUploadRecords(uploads),
+                    info: {
+                        'Generated at': new Date().toISOString(),
+                        'Generated by': user.userDetails,
+                        'Filters': JSON.stringify(filters),
+                        'Statuses': statuses.join(', '),
+                        'From': fromText || '(any)',
+                        'To': toText || '(any)',
+                        'Uploads': uploads.length,
+                        'Data points': rows.length,
+                        'Taxonomy version': loadTaxonomy().version,
+                        'Emission factor versions': [...new Set(uploads.map(upload => upload.emissionFactorsVersion).filter(Boolean))].join(', '),
+                        'Disclosure mapping version': loadDisclosures().version
+                    }
+                });
+                contentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+                extension = 'xlsx';
+            } else if (format === 'disclosures') {
+                body = toCsv(toDisclosureRecords(rows), DISCLOSURE_COLUMNS);
+                contentType = 'text/csv; charset=utf-8';
+                extension = 'csv';
+            } else {
+                body = toCsv(toDataRecords(rows, uploads), DATA_COLUMNS.map(([header]) => header));
+                contentType = 'text/csv; charset=utf-8';
+                extension = 'csv';
+            }
+
+            await audit(context, user, {
+                type: 'export',
+                company: filters.company || null,
+                details: {
+                    format,
+                    filters,
+                    statuses,
+                    from: fromText || null,
+                    to: toText || null,
+                    rowCount: rows.length,
+                    files: uploads.map(upload => upload.name)
                 }
+            }, { required: true });
+
+            return {
+                status: 200,
+                headers: {
+                    'Content-Type': contentType,
+                    'Content-Disposition': `attachment; filename="${baseName}.${extension}"`,
+                    'Cache-Control': 'no-store'
+                },
+                body
             };
+        } catch (error) {
+            return errorResponse(context, error);
+        }
+    }
+});
+
+// Audit trail: who uploaded, changed, downloaded, exported or deleted what, as JSON or an export for auditors
+app.http('audit', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'audit',
+    handler: async (request, context) => {
+        try {
+            const user = requireRole(request, ['auditor', 'admin']);
+
+            const format = (request.query.get('format') || 'json').toLowerCase();
+            const types = (request.query.get('type') || '').split(',').map(item => item.trim()).filter(Boolean);
+            const unknownType = types.find(type => !EVENT_TYPES.includes(type));
+
+            // Dates cover the whole (UTC) day; full timestamps are taken as they are
+            const parseTime = (name, endOfDay) => {
+                const text = (request.query.get(name) || '').trim();
+                if (!text) return null;
+                const time = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z` : text);
+                return Number.isNaN(time.getTime()) ? undefined : time;
+            };
+            const from = parseTime('from', false);
+            const to = parseTime('to', true);
+            const limit = Math.min(Math.max(parseInt(request.query.get('limit'), 10) || DEFAULT_AUDIT_LIMIT, 1), MAX_AUDIT_LIMIT);
+
+            let problem = null;
+            if (!AUDIT_FORMATS.includes(format)) {
+                problem = `Unknown format "${format}" (expected ${AUDIT_FORMATS.join(', ')})`;
+            } else if (unknownType) {
+                problem = `Unknown event type "${unknownType}" (expected ${EVENT_TYPES.join(', ')})`;
+            } else if (from === undefined || to === undefined) {
+                problem = '"from" and "to" must be dates (2025-01-31) or ISO timestamps';
+            } else if (from && to && from > to) {
+                problem = '"from" is after "to"';
+            }
+            if (problem) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: problem
+                    }
+                };
+            }
+
+            const filters = {
+                file: request.query.get('file') || null,
+                company: request.query.get('company') || null,
+                user: request.query.get('user') || null,
+                type: types.length > 0 ? types : null,
+                from,
+                to
+            };
+            // Auditors see the events of their companies; events without a company only with "*"
+            const events = await queryEvents(getStorageProvider(AUDIT_CONTAINER), filters, event => canAccessCompany(user, event.company));
+            context.log('Audit query:', events.length, 'events for', user.userDetails);
+
+            if (format === 'json') {
+                const newest = events.slice(-limit).reverse();
+                return {
+                    status: 200,
+                    headers: {
+                        'Cache-Control': 'no-store'
+                    },
+                    jsonBody: {
+                        success: true,
+                        count: events.length,
+                        truncated: events.length > newest.length,
+                        events: newest
+                    }
+                };
+            }
+
+            const baseName = [
+                'audit-trail',
+                filters.company ? slugify(filters.company, 'company') : null,
+                from ? from.toISOString().slice(0, 10) : null,
+                to ? `to-${to.toISOString().slice(0, 10)}` : null
+            ].filter(Boolean).join('-');
+            const csv = format === 'csv';
+            return {
+                status: 200,
+                headers: {
+                    'Content-Type': csv ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+                    'Content-Disposition': `attachment; filename="${baseName}.${csv ? 'csv' : 'jsonl'}"`,
+                    'Cache-Control': 'no-store'
+                },
+                body: csv
+                    ? toCsv(toAuditRecords(events), AUDIT_COLUMNS.map(([header]) => header))
+                    : events.map(event => JSON.stringify(event) + '\n').join('')
+            };
+        } catch (error) {
+            return errorResponse(context, error);
+        }
+    }
+});
+
+// Pre-filled submission workbook for the chosen company, business units, locations, periods and metrics
+app.http('template', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'template',
+    handler: async (request, context) => {
+        try {
+            const user = requireRole(request, ['uploader', 'admin']);
+
+            // Each field as repeated parameters or one comma-separated value, like the upload form
+            const input = {};
+            for (const field of METADATA_FIELDS) {
+                const values = request.query.getAll(field);
+                if (values.length > 0) input[field] = field === 'company' || values.length === 1 ? values[0] : values;
+            }
+            if (!input.company && user.companies.length === 1 && user.companies[0] !== '*') {
+                input.company = user.companies[0];
+            }
+
+            const taxonomy = loadTaxonomy();
+            const { metadata, missingFields, errors } = normalizeMetadata(input, taxonomy);
+            const missing = missingFields.filter(field => ['company', 'time_period', 'esg_metric'].includes(field));
+            if (missing.length > 0 || errors.length > 0) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: missing.length > 0 ? 'Choose a company, at least one period and at least one metric' : 'Invalid template selection',
+                        ...(missing.length > 0 && { missingFields: missing }),
+                        ...(errors.length > 0 && { validationErrors: errors })
+                    }
+                };
+            }
+            requireCompany(user, metadata.company);
+
+            // Topics follow from the metrics
+            metadata.esg_topic = [...new Set(metadata.esg_metric
+                .map(name => taxonomy.metrics.find(metric => metric.name === name)?.topic)
+                .filter(Boolean))];
+            const validationErrors = validateSelection(metadata, taxonomy);
+            if (validationErrors.length > 0) {
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: 'Template selection does not match the ESG taxonomy',
+                        taxonomyVersion: taxonomy.version,
+                        validationErrors
+                    }
+                };
+            }
+
+            let buffer;
+            try {
+                buffer = await buildTemplate(metadata, { generatedBy: user.userDetails, taxonomy });
+            } catch (templateError) {
+                if (!(templateError instanceof TemplateError)) throw templateError;
+                return {
+                    status: 400,
+                    jsonBody: {
+                        success: false,
+                        error: templateError.message
+                    }
+                };
+            }
+
+            const periods = metadata.time_period.length === 1 ? metadata.time_period[0] : `${metadata.time_period.length}-periods`;
+            const filename = `esg-template-${slugify(metadata.company, 'company')}-${slugify(periods, 'periods')}.xlsx`;
+            context.log('Template generated:', filename, 'for', user.userDetails);
+            return {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+                    'Content-Disposition': `attachment; filename="${filename}"`,
+                    'Cache-Control': 'no-store'
+                },
+                body: buffer
+            };
+        } catch (error) {
+            return errorResponse(context, error);
         }
     }
 });
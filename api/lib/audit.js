@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const { slugify } = require('./uploads');
+
+// What is recorded: uploads, property changes (versions superseded or restored), review decisions, downloads, exports and deletes
+const EVENT_TYPES = ['upload', 'metadata.update', 'status.change', 'download', 'export', 'delete'];
+
+const EVENTS_PREFIX = 'events/';
+
+// Columns of the CSV export: [header, event → value]
+const AUDIT_COLUMNS = [
+    ['id', event => event.id],
+    ['at', event => event.at],
+    ['type', event => event.type],
+    ['actor', event => event.actor?.userDetails],
+    ['actor_id', event => event.actor?.userId],
+    ['request_id', event => event.requestId],
+    ['blob_name', event => event.blobName],
+    ['company', event => event.company],
+    ['before', event => event.before && JSON.stringify(event.before)],
+    ['after', event => event.after && JSON.stringify(event.after)],
+    ['details', event => event.details && JSON.stringify(event.details)]
+];
+
+// One log blob per UTC day, so queries over a date range only read those days
+function dayLogName(date) {
+    return `${EVENTS_PREFIX}${date.toISOString().slice(0, 10).replace(/-/g, '/')}.jsonl`;
+}
+
+/**
+ * Appends one event to the audit trail as a JSON line of the day's
+ * `events/YYYY/MM/DD.jsonl` blob. `actor` is the signed-in user (see
+ * auth.getUser), `requestId` the function invocation id, `before`/`after`
+ * the values the event changed. The trail is append-only: nothing rewrites
+ * or deletes its blobs.
+ */
+async function recordEvent(storage, { type, actor, requestId, blobName = null, company = null, before = null, after = null, details = null, at = new Date() }) {
+    if (!EVENT_TYPES.includes(type)) {
+        throw new Error(`Unknown audit event type "${type}"`);
+    }
+    const event = {
+        id: crypto.randomUUID(),
+        at: at.toISOString(),
+        type,
+        actor: actor ? { userId: actor.userId, userDetails: actor.userDetails, identityProvider: actor.identityProvider || null } : null,
+        requestId: requestId || null,
+        blobName,
+        company,
+        before,
+        after,
+        details
+    };
+    await storage.append(dayLogName(at), JSON.stringify(event) + '\n', { contentType: 'application/x-ndjson' });
+    return event;
+}
+
+/**
+ * The events a stored upload (a processWorkbook result) is recorded as: the
+ * upload and, when it replaced an earlier version, that version being
+ * superseded. None for rejected files.
+ */
+function uploadEvents(actor, result, metadata) {
+    if (!result.success) return [];
+    const events = [{
+        type: 'upload',
+        blobName: result.fileName,
+        company: metadata.company,
+        after: {
+            originalFileName: result.originalFileName,
+            status: result.status,
+            contentHash: result.contentHash,
+            uploadedBy: actor.userDetails,
+            metadata,
+            replaces: result.replaces || null
+        }
+    }];
+    if (result.replaces) {
+        events.push({
+            type: 'metadata.update',
+            blobName: result.replaces,
+            company: metadata.company,
+            before: { supersededBy: null },
+            after: { supersededBy: result.fileName },
+            details: { reason: 'replaced by a new version' }
+        });
+    }
+    return events;
+}
+
+// `file` also matches exports that included the file; `user` matches the e-mail or user id
+function matchesEvent(event, { file, company, user, type, from, to }) {
+    if (file && event.blobName !== file && !(event.details?.files || []).includes(file)) return false;
+    if (company && slugify(event.company || '', '') !== slugify(company, '')) return false;
+    if (user) {
+        const wanted = user.toLowerCase();
+        if (String(event.actor?.userDetails).toLowerCase() !== wanted && event.actor?.userId !== user) return false;
+    }
+    if (type && !type.includes(event.type)) return false;
+    if (from && event.at < from.toISOString()) return false;
+    if (to && event.at > to.toISOString()) return false;
+    return true;
+}
+
+/**
+ * Audit events matching `filters` ({ file, company, user, type (list), from,
+ * to (Dates) }) that `canSee` allows, oldest first. Only the day blobs
+ * within from..to are read.
+ */
+async function queryEvents(storage, filters = {}, canSee = () => true) {
+    const firstDay = filters.from && dayLogName(filters.from);
+    const lastDay = filters.to && dayLogName(filters.to);
+    const events = [];
+    for await (const blob of storage.list({ prefix: EVENTS_PREFIX })) {
+        if ((firstDay && blob.name < firstDay) || (lastDay && blob.name > lastDay)) continue;
+        const stored = await storage.get(blob.name);
+        if (!stored) continue;
+        for (const line of stored.data.toString('utf8').split('\n')) {
+            if (!line.trim()) continue;
+            let event;
+            try {
+                event = JSON.parse(line);
+            } catch (parseError) {
+                continue;
+            }
+            if (matchesEvent(event, filters) && canSee(event)) events.push(event);
+        }
+    }
+    return events.sort((a, b) => a.at.localeCompare(b.at));
+}
+
+// Flat records in AUDIT_COLUMNS order, for reportExport.toCsv
+function toAuditRecords(events) {
+    return events.map(event => {
+        const record = {};
+        for (const [header, value] of AUDIT_COLUMNS) {
+            const cell = value(event);
+            record[header] = cell === undefined ? null : cell;
+        }
+        return record;
+    });
+}
+
+module.exports = {
+    EVENT_TYPES,
+    AUDIT_COLUMNS,
+    recordEvent,
+    uploadEvents,
+    queryEvents,
+    toAuditRecords
+};
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const { getSettingValue } = require('./config');
+const { slugify } = require('./uploads');
+
+const DEFAULT_ACCESS_PATH = path.join(__dirname, '..', 'config', 'access.json');
+const PRINCIPAL_HEADER = 'x-ms-client-principal';
+
+// Application roles, from least to most privileged
+const ROLES = ['auditor', 'reviewer', 'uploader', 'admin'];
+
+class AuthError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+    }
+}
+
+let cached = null;
+
+/**
+ * Loads the role and company assignments (api/config/access.json, or the file
+ * named by the ACCESS_CONFIG_PATH setting). Each entry of `users` matches a
+ * signed-in user by `userDetails` (usually the e-mail) or `userId`; a company
+ * of "*" grants every company.
+ */
+function loadAccessConfig() {
+    if (!cached) {
+        const accessPath = getSettingValue('ACCESS_CONFIG_PATH', DEFAULT_ACCESS_PATH);
+        cached = fs.existsSync(accessPath)
+            ? JSON.parse(fs.readFileSync(accessPath, 'utf8'))
+            : { users: [] };
+    }
+    return cached;
+}
+
+/**
+ * Decodes the Static Web Apps client principal (base64 JSON in the
+ * x-ms-client-principal header). Returns null for anonymous requests or
+ * a header that cannot be read.
+ */
+function getClientPrincipal(request) {
+    const header = request.headers.get(PRINCIPAL_HEADER);
+    if (!header) return null;
+    try {
+        const principal = JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+        return principal && principal.userId ? principal : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function findAssignment(principal, config) {
+    const details = String(principal.userDetails || '').toLowerCase();
+    return (config.users || []).find(entry =>
+        (entry.user && entry.user.toLowerCase() === details) || (entry.userId && entry.userId === principal.userId));
+}
+
+/**
+ * The user a principal (`{ userId, userDetails, identityProvider, userRoles }`)
+ * stands for, with their application roles and companies. Roles come from the
+ * principal (roles assigned in Static Web Apps) and from access.json;
+ * companies only from access.json.
+ */
+function userFromPrincipal(principal, config = loadAccessConfig()) {
+    const assignment = findAssignment(principal, config) || {};
+    const roles = ROLES.filter(role =>
+        (principal.userRoles || []).includes(role) || (assignment.roles || []).includes(role));
+
+    return {
+        userId: principal.userId,
+        userDetails: principal.userDetails || principal.userId,
+        identityProvider: principal.identityProvider || null,
+        roles,
+        companies: assignment.companies || []
+    };
+}
+
+// The signed-in user of a request (see userFromPrincipal), or null when the request is anonymous
+function getUser(request, config = loadAccessConfig()) {
+    const principal = getClientPrincipal(request);
+    return principal ? userFromPrincipal(principal, config) : null;
+}
+
+function hasRole(user, roles) {
+    return user.roles.some(role => roles.includes(role));
+}
+
+// Admins and "*" assignments see every company; otherwise names are compared as slugs
+function canAccessCompany(user, company) {
+    if (user.roles.includes('admin') || user.companies.includes('*')) return true;
+    const wanted = slugify(company, '');
+    return wanted !== '' && user.companies.some(assigned => slugify(assigned, '') === wanted);
+}
+
+/**
+ * Returns the signed-in user when they hold one of `roles`, otherwise throws
+ * AuthError (401 when not signed in, 403 when the role is missing).
+ */
+function requireRole(request, roles) {
+    const user = getUser(request);
+    if (!user) {
+        throw new AuthError(401, 'Sign in to use this API');
+    }
+    if (!hasRole(user, roles)) {
+        throw new AuthError(403, `This action requires one of the roles: ${roles.join(', ')}`);
+    }
+    return user;
+}
+
+function requireCompany(user, company) {
+    if (!canAccessCompany(user, company)) {
+        throw new AuthError(403, `You are not assigned to report for "${company}"`);
+    }
+}
+
+module.exports = {
+    ROLES,
+    AuthError,
+    loadAccessConfig,
+    getClientPrincipal,
+    userFromPrincipal,
+    getUser,
+    hasRole,
+    canAccessCompany,
+    requireRole,
+    requireCompany
+};
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+
+const LOCAL_SETTINGS_PATH = path.join(__dirname, '..', 'local.settings.json');
+
+let localValues;
+
+function readLocalSettings() {
+    if (localValues === undefined) {
+        localValues = null;
+        if (fs.existsSync(LOCAL_SETTINGS_PATH)) {
+            const localSettings = JSON.parse(fs.readFileSync(LOCAL_SETTINGS_PATH, 'utf8'));
+            localValues = localSettings.Values || {};
+        }
+    }
+    return localValues;
+}
+
+/**
+ * Looks up an app setting in the environment first, then in the `Values`
+ * section of api/local.settings.json. Returns { value, source } where source
+ * is 'env', 'local.settings.json' or null when the setting is not defined.
+ */
+function getSetting(name) {
+    if (process.env[name]) {
+        return { value: process.env[name], source: 'env' };
+    }
+    const values = readLocalSettings();
+    if (values && values[name]) {
+        return { value: values[name], source: 'local.settings.json' };
+    }
+    return { value: undefined, source: null };
+}
+
+function getSettingValue(name, defaultValue) {
+    const { value } = getSetting(name);
+    return value === undefined ? defaultValue : value;
+}
+
+// A numeric setting; anything but a finite positive number keeps the default
+function numberSetting(name, defaultValue) {
+    const value = Number(getSettingValue(name, defaultValue));
+    return Number.isFinite(value) && value > 0 ? value : defaultValue;
+}
+
+module.exports = {
+    getSetting,
+    getSettingValue,
+    numberSetting
+};
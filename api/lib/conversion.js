@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const { getSettingValue } = require('./config');
+const { canonicalName, loadTaxonomy } = require('./taxonomy');
+
+const DEFAULT_FACTORS_PATH = path.join(__dirname, '..', 'config', 'emissionFactors.json');
+
+// Each unit's quantity and its size in the quantity's base unit (kWh, kg, m³)
+const UNITS = {
+    'kWh': { quantity: 'energy', toBase: 1 },
+    'MWh': { quantity: 'energy', toBase: 1000 },
+    'GWh': { quantity: 'energy', toBase: 1000000 },
+    'MJ': { quantity: 'energy', toBase: 1 / 3.6 },
+    'GJ': { quantity: 'energy', toBase: 1000 / 3.6 },
+    'kg': { quantity: 'mass', toBase: 1 },
+    'tonnes': { quantity: 'mass', toBase: 1000 },
+    'm³': { quantity: 'volume', toBase: 1 },
+    'litres': { quantity: 'volume', toBase: 0.001 },
+    '%': { quantity: 'ratio', toBase: 1 },
+    'count': { quantity: 'count', toBase: 1 }
+};
+
+// Other spellings found in spreadsheets (lower-cased) -> unit
+const UNIT_ALIASES = {
+    'm3': 'm³',
+    'cubic metres': 'm³',
+    'cubic meters': 'm³',
+    'l': 'litres',
+    'litre': 'litres',
+    'liter': 'litres',
+    'liters': 'litres',
+    't': 'tonnes',
+    'tonne': 'tonnes',
+    'metric tons': 'tonnes',
+    'percent': '%'
+};
+
+let cachedFactors = null;
+
+/**
+ * Loads the versioned emission factor table (api/config/emissionFactors.json,
+ * or the file named by the EMISSION_FACTORS_PATH setting). Each factor gives
+ * the kg CO2e per `unit` of a metric and the scope it counts toward.
+ */
+function loadEmissionFactors() {
+    if (!cachedFactors) {
+        const factorsPath = getSettingValue('EMISSION_FACTORS_PATH', DEFAULT_FACTORS_PATH);
+        cachedFactors = JSON.parse(fs.readFileSync(factorsPath, 'utf8'));
+    }
+    return cachedFactors;
+}
+
+// The unit's standard spelling and definition, or null for units that cannot be converted
+function findUnit(name) {
+    if (!name) return null;
+    const lower = String(name).trim().toLowerCase();
+    const unit = Object.keys(UNITS).find(key => key.toLowerCase() === lower) || UNIT_ALIASES[lower];
+    return unit ? { name: unit, ...UNITS[unit] } : null;
+}
+
+/**
+ * Converts `value` from one unit to another ("2 MWh" → 2000 kWh). Returns null
+ * when either unit is unknown or they measure different quantities.
+ */
+function convert(value, from, to) {
+    const source = findUnit(from);
+    const target = findUnit(to);
+    if (value === null || !source || !target || source.quantity !== target.quantity) return null;
+    return round(value * source.toBase / target.toBase);
+}
+
+/**
+ * CO2e of one value of `metric` using the first factor for the metric whose
+ * unit the value can be converted to. Returns { scope, co2e, unit: 'tCO2e',
+ * factor, factorUnit } or null when no factor applies.
+ */
+function calculateEmissions(metric, value, unit, factors = loadEmissionFactors()) {
+    for (const factor of factors.factors) {
+        if (factor.metric.toLowerCase() !== String(metric).toLowerCase()) continue;
+        const quantity = convert(value, unit, factor.unit);
+        if (quantity === null) continue;
+        return {
+            scope: factor.scope,
+            co2e: round(quantity * factor.kgCO2e / 1000),
+            unit: 'tCO2e',
+            factor: factor.kgCO2e,
+            factorUnit: `kg CO2e/${factor.unit}`
+        };
+    }
+    return null;
+}
+
+/**
+ * Adds `normalizedValue` and `normalizedUnit` to a data point: the value in
+ * its metric's `canonicalUnit` (see taxonomy.json), or the value as reported
+ * when the metric has none or the unit cannot be converted to it. Metrics in
+ * the emission factor table also get `emissions`. The reported `value` and
+ * `unit` are kept as they are.
+ */
+function normalizeDataPoint(point, { taxonomy = loadTaxonomy(), factors = loadEmissionFactors() } = {}) {
+    const metricName = canonicalName('metrics', point.metric, taxonomy);
+    const metric = taxonomy.metrics.find(item => item.name === metricName);
+    const converted = metric?.canonicalUnit ? convert(point.value, point.unit, metric.canonicalUnit) : null;
+
+    const normalized = {
+        ...point,
+        normalizedValue: converted !== null ? converted : point.value,
+        normalizedUnit: converted !== null ? metric.canonicalUnit : findUnit(point.unit)?.name || point.unit
+    };
+    const emissions = calculateEmissions(metricName, point.value, point.unit, factors);
+    if (emissions) normalized.emissions = emissions;
+    return normalized;
+}
+
+/**
+ * Normalizes every data point of a parsed workbook (see excelParser) and adds
+ * the workbook's CO2e per scope and the emission factor version used.
+ */
+function normalizeExtraction(extraction, { taxonomy = loadTaxonomy(), factors = loadEmissionFactors() } = {}) {
+    const dataPoints = extraction.dataPoints.map(point => normalizeDataPoint(point, { taxonomy, factors }));
+    let scope1 = 0;
+    let scope2 = 0;
+    for (const point of dataPoints) {
+        if (point.emissions?.scope === 1) scope1 += point.emissions.co2e;
+        if (point.emissions?.scope === 2) scope2 += point.emissions.co2e;
+    }
+    return {
+        ...extraction,
+        emissionFactorsVersion: factors.version,
+        emissions: { scope1: round(scope1), scope2: round(scope2), unit: 'tCO2e' },
+        dataPoints
+    };
+}
+
+function round(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+module.exports = {
+    UNITS,
+    loadEmissionFactors,
+    findUnit,
+    convert,
+    calculateEmissions,
+    normalizeDataPoint,
+    normalizeExtraction
+};
@@ -0,0 +1,275 @@
+const ExcelJS = require('exceljs');
+const { ZIP_SIGNATURE, OLE_SIGNATURE } = require('./fileInspection');
+
+// How far down each sheet we look for the header row
+const HEADER_SCAN_ROWS = 20;
+
+// Hidden sheet of workbooks generated by GET /api/template (see submissionTemplate)
+const TEMPLATE_META_SHEET = '_meta';
+const TEMPLATE_VERSION = 1;
+
+// Header cell text (lower-cased, punctuation stripped) -> data point field
+const HEADER_ALIASES = {
+    metric: ['metric', 'esg metric', 'indicator', 'kpi', 'measure', 'description'],
+    value: ['value', 'amount', 'quantity', 'total', 'consumption', 'reading'],
+    unit: ['unit', 'units', 'uom', 'unit of measure'],
+    period: ['period', 'time period', 'reporting period', 'date', 'month', 'quarter', 'year'],
+    businessUnit: ['business unit', 'bu', 'division', 'department'],
+    location: ['location', 'site', 'facility', 'country', 'region']
+};
+
+class WorkbookParseError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'WorkbookParseError';
+        this.code = code;
+    }
+}
+
+function normalizeHeader(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function matchHeader(cell) {
+    if (cell === null || cell === undefined || cell === '') return null;
+    const text = normalizeHeader(cell);
+    for (const [field, aliases] of Object.entries(HEADER_ALIASES)) {
+        if (aliases.includes(text)) return field;
+    }
+    return null;
+}
+
+// Returns { index, columns } for the row that names the most known fields,
+// or null when no row has at least a metric and a value column.
+function findHeaderRow(rows) {
+    let best = null;
+    const limit = Math.min(rows.length, HEADER_SCAN_ROWS);
+    for (let i = 0; i < limit; i++) {
+        const columns = {};
+        (rows[i] || []).forEach((cell, j) => {
+            const field = matchHeader(cell);
+            if (field && columns[field] === undefined) columns[field] = j;
+        });
+        if (columns.metric === undefined || columns.value === undefined) continue;
+        if (!best || Object.keys(columns).length > Object.keys(best.columns).length) {
+            best = { index: i, columns };
+        }
+    }
+    return best;
+}
+
+function toText(cell) {
+    if (cell === null || cell === undefined) return '';
+    if (cell instanceof Date) return cell.toISOString().slice(0, 10);
+    return String(cell).trim();
+}
+
+// Accepts numbers and numeric strings such as "1,234.5"; anything else is null
+function toNumber(cell) {
+    if (typeof cell === 'number') return Number.isFinite(cell) ? cell : null;
+    if (typeof cell !== 'string') return null;
+    const cleaned = cell.replace(/,/g, '').trim();
+    if (cleaned === '' || !/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(cleaned)) return null;
+    return Number(cleaned);
+}
+
+// Column letters <-> 1-based column numbers
+function columnNumber(letters) {
+    return [...String(letters).toUpperCase()].reduce((number, letter) => number * 26 + letter.charCodeAt(0) - 64, 0);
+}
+
+function columnLetter(number) {
+    let letters = '';
+    for (let n = number; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+    }
+    return letters;
+}
+
+// Plain value of a cell: formulas give their cached result, rich text and hyperlinks their text
+function cellValue(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value !== 'object' || value instanceof Date) return value;
+    if ('result' in value || 'formula' in value || 'sharedFormula' in value) return cellValue(value.result);
+    if (Array.isArray(value.richText)) return value.richText.map(run => run.text).join('');
+    if ('text' in value) return cellValue(value.text);
+    if ('error' in value) return value.error;
+    return null;
+}
+
+// Rows of the sheet's used range as arrays of cell values, blank rows and cells as null
+function sheetRows(worksheet) {
+    const range = worksheet.actualRowCount > 0 ? worksheet.dimensions.model : { top: 1, left: 1, bottom: 1, right: 1 };
+    const rows = [];
+    for (let r = range.top; r <= range.bottom; r++) {
+        const row = worksheet.getRow(r);
+        const values = [];
+        for (let c = range.left; c <= range.right; c++) {
+            values.push(cellValue(row.getCell(c).value));
+        }
+        rows.push(values);
+    }
+    return { range, rows };
+}
+
+// Header row and columns recorded in a template's metadata, relative to the sheet's used range
+function templateHeader(template, range) {
+    const columns = {};
+    for (const [field, column] of Object.entries(template.columns || {})) {
+        columns[field] = columnNumber(column) - range.left;
+    }
+    return { index: template.headerRow - range.top, columns };
+}
+
+/**
+ * Reads the hidden `_meta` sheet of a workbook made from the submission
+ * template: one key per row with its value as JSON. Returns null for other
+ * workbooks.
+ */
+function readTemplateMeta(workbook) {
+    const sheet = workbook.getWorksheet(TEMPLATE_META_SHEET);
+    if (!sheet) return null;
+    const meta = {};
+    for (const [key, value] of sheetRows(sheet).rows) {
+        if (!key) continue;
+        try {
+            meta[key] = JSON.parse(value);
+        } catch (error) {
+            meta[key] = value;
+        }
+    }
+    if (!meta.templateVersion || !meta.dataSheet || !meta.columns) {
+        throw new WorkbookParseError('INVALID_TEMPLATE', 'The template metadata in this workbook is incomplete');
+    }
+    if (meta.templateVersion > TEMPLATE_VERSION) {
+        throw new WorkbookParseError('INVALID_TEMPLATE', `Template version ${meta.templateVersion} is newer than this service supports`);
+    }
+    return meta;
+}
+
+// With `template`, the header row and columns come from its metadata and rows without a value are skipped
+function extractSheet(sheetName, worksheet, defaults, template = null) {
+    const { range, rows } = sheetRows(worksheet);
+    const header = template ? templateHeader(template, range) : findHeaderRow(rows);
+
+    const summary = {
+        name: sheetName,
+        rowCount: rows.length,
+        headerRow: null,
+        columns: {},
+        dataPointCount: 0
+    };
+    if (!header) return { summary, dataPoints: [] };
+
+    summary.headerRow = range.top + header.index;
+    for (const [field, j] of Object.entries(header.columns)) {
+        summary.columns[field] = columnLetter(range.left + j);
+    }
+
+    const cellOf = (row, field) => {
+        const j = header.columns[field];
+        return j === undefined ? null : row[j];
+    };
+
+    const dataPoints = [];
+    for (let i = header.index + 1; i < rows.length; i++) {
+        const row = rows[i] || [];
+        const metric = toText(cellOf(row, 'metric'));
+        if (!metric) continue;
+
+        const rawValue = cellOf(row, 'value');
+        if (template && (rawValue === null || String(rawValue).trim() === '')) continue;
+        const rowNumber = range.top + i;
+        dataPoints.push({
+            metric,
+            value: toNumber(rawValue),
+            rawValue: rawValue instanceof Date ? toText(rawValue) : rawValue,
+            unit: toText(cellOf(row, 'unit')) || defaults.unit || null,
+            period: toText(cellOf(row, 'period')) || defaults.period || null,
+            businessUnit: toText(cellOf(row, 'businessUnit')) || defaults.businessUnit || null,
+            location: toText(cellOf(row, 'location')) || defaults.location || null,
+            source: {
+                sheet: sheetName,
+                row: rowNumber,
+                cell: `${summary.columns.value}${rowNumber}`
+            }
+        });
+    }
+
+    summary.dataPointCount = dataPoints.length;
+    return { summary, dataPoints };
+}
+
+/**
+ * Reads an .xlsx workbook and extracts normalized ESG data points.
+ *
+ * `defaults` supplies unit, period, businessUnit and location for sheets that
+ * have no column for them (typically the single values chosen on the form).
+ * Workbooks made from the submission template are read from their data sheet
+ * with the recorded layout, and the result includes the template's metadata
+ * as `template`.
+ * Rejects with WorkbookParseError when the buffer is not a readable .xlsx
+ * workbook; legacy .xls files have to be saved as .xlsx first.
+ */
+async function parseWorkbook(buffer, defaults = {}) {
+    if (!buffer || buffer.length === 0) {
+        throw new WorkbookParseError('EMPTY_FILE', 'The uploaded file is empty');
+    }
+
+    const isZip = buffer.subarray(0, ZIP_SIGNATURE.length).equals(ZIP_SIGNATURE);
+    const isOle = buffer.subarray(0, OLE_SIGNATURE.length).equals(OLE_SIGNATURE);
+    if (isOle) {
+        throw new WorkbookParseError('UNSUPPORTED_FORMAT', 'Legacy .xls workbooks cannot be read. Save the file as .xlsx and upload it again.');
+    }
+    if (!isZip) {
+        throw new WorkbookParseError('NOT_A_SPREADSHEET', 'File content is not an Excel workbook');
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch (error) {
+        throw new WorkbookParseError('CORRUPT_WORKBOOK', `Workbook could not be read: ${error.message}`);
+    }
+
+    if (workbook.worksheets.length === 0) {
+        throw new WorkbookParseError('NO_SHEETS', 'Workbook contains no worksheets');
+    }
+
+    const template = readTemplateMeta(workbook);
+    if (template && !workbook.getWorksheet(template.dataSheet)) {
+        throw new WorkbookParseError('INVALID_TEMPLATE', `The template's "${template.dataSheet}" sheet is missing`);
+    }
+    const worksheets = template ? [workbook.getWorksheet(template.dataSheet)] : workbook.worksheets;
+
+    const sheets = [];
+    const dataPoints = [];
+    for (const worksheet of worksheets) {
+        const result = extractSheet(worksheet.name, worksheet, defaults, template);
+        sheets.push(result.summary);
+        dataPoints.push(...result.dataPoints);
+    }
+
+    return {
+        sheetCount: sheets.length,
+        sheets,
+        dataPointCount: dataPoints.length,
+        dataPoints,
+        ...(template && {
+            template: {
+                templateVersion: template.templateVersion,
+                generatedAt: template.generatedAt || null,
+                generatedBy: template.generatedBy || null,
+                taxonomyVersion: template.taxonomyVersion || null,
+                metadata: template.metadata || null
+            }
+        })
+    };
+}
+
+module.exports = {
+    TEMPLATE_META_SHEET,
+    TEMPLATE_VERSION,
+    parseWorkbook,
+    WorkbookParseError
+};
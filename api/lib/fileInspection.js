@@ -0,0 +1,226 @@
+const zlib = require('zlib');
+const { numberSetting } = require('./config');
+
+// Leading bytes of the two container formats Excel writes
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4B, 0x03, 0x04]); // .xlsx (Office Open XML)
+const OLE_SIGNATURE = Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]); // .xls (BIFF), encrypted .xlsx
+
+const DEFAULT_MAX_UPLOAD_MB = 100;
+const DEFAULT_MAX_UNCOMPRESSED_MB = 500;
+
+// Zip bomb limits: entry count, and how much one part may expand once it is larger than a megabyte
+const MAX_ZIP_ENTRIES = 5000;
+const MAX_COMPRESSION_RATIO = 200;
+const RATIO_CHECK_MIN_BYTES = 1024 * 1024;
+
+// Stream Excel stores a password-protected .xlsx in, as an OLE directory entry name (UTF-16LE)
+const ENCRYPTED_PACKAGE_NAME = Buffer.from('EncryptedPackage', 'utf16le');
+
+// Extensions Excel uses for workbooks that carry VBA
+const MACRO_EXTENSIONS = ['xlsm', 'xltm', 'xlam', 'xlsb'];
+
+const EOCD_SIGNATURE = 0x06054B50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014B50;
+const LOCAL_HEADER_SIGNATURE = 0x04034B50;
+
+class FileInspectionError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'FileInspectionError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// A limit in MB from the settings; a value that is not a positive number keeps the default rather than disabling the limit
+function megabytesSetting(name, defaultMegabytes) {
+    return numberSetting(name, defaultMegabytes) * 1024 * 1024;
+}
+
+// Largest workbook accepted, from the MAX_UPLOAD_SIZE_MB setting
+function maxUploadBytes() {
+    return megabytesSetting('MAX_UPLOAD_SIZE_MB', DEFAULT_MAX_UPLOAD_MB);
+}
+
+function maxUncompressedBytes() {
+    return megabytesSetting('MAX_UNCOMPRESSED_SIZE_MB', DEFAULT_MAX_UNCOMPRESSED_MB);
+}
+
+function invalidZip(message) {
+    return new FileInspectionError(422, 'INVALID_ZIP', message);
+}
+
+function zipBomb(message) {
+    return new FileInspectionError(422, 'ZIP_BOMB', message);
+}
+
+function macroEnabled(message) {
+    return new FileInspectionError(422, 'MACRO_ENABLED', message);
+}
+
+// The end of central directory record is in the last 22 bytes plus an optional comment
+function findEndOfCentralDirectory(data) {
+    for (let offset = data.length - 22; offset >= Math.max(0, data.length - 22 - 0xFFFF); offset--) {
+        if (data.readUInt32LE(offset) === EOCD_SIGNATURE) return offset;
+    }
+    return -1;
+}
+
+// Entries of the ZIP central directory, checked for structure without inflating anything
+function readCentralDirectory(data) {
+    const eocd = findEndOfCentralDirectory(data);
+    if (eocd < 0) throw invalidZip('The file is not a complete ZIP archive');
+
+    const entryCount = data.readUInt16LE(eocd + 10);
+    const directorySize = data.readUInt32LE(eocd + 12);
+    const directoryOffset = data.readUInt32LE(eocd + 16);
+    if (entryCount === 0xFFFF || directoryOffset === 0xFFFFFFFF) {
+        throw invalidZip('ZIP64 archives are not accepted');
+    }
+    if (directoryOffset + directorySize > eocd) throw invalidZip('The ZIP central directory is out of bounds');
+    if (entryCount > MAX_ZIP_ENTRIES) throw zipBomb(`The workbook has ${entryCount} parts (at most ${MAX_ZIP_ENTRIES} allowed)`);
+
+    const entries = [];
+    let offset = directoryOffset;
+    for (let i = 0; i < entryCount; i++) {
+        if (offset + 46 > eocd || data.readUInt32LE(offset) !== CENTRAL_HEADER_SIGNATURE) {
+            throw invalidZip('The ZIP central directory is corrupt');
+        }
+        const nameLength = data.readUInt16LE(offset + 28);
+        const entry = {
+            flags: data.readUInt16LE(offset + 8),
+            method: data.readUInt16LE(offset + 10),
+            compressedSize: data.readUInt32LE(offset + 20),
+            size: data.readUInt32LE(offset + 24),
+            localHeaderOffset: data.readUInt32LE(offset + 42),
+            name: data.toString('utf8', offset + 46, offset + 46 + nameLength)
+        };
+        offset += 46 + nameLength + data.readUInt16LE(offset + 30) + data.readUInt16LE(offset + 32);
+
+        if (entry.flags & 0x1) throw new FileInspectionError(422, 'ENCRYPTED_FILE', 'Encrypted workbooks are not accepted');
+        if (entry.method !== 0 && entry.method !== 8) throw invalidZip(`Part "${entry.name}" uses an unsupported compression method`);
+        if (entry.name.split(/[\\/]/).includes('..') || /^[\\/]/.test(entry.name)) throw invalidZip(`Part name "${entry.name}" is not allowed`);
+        if (entry.localHeaderOffset + 30 > directoryOffset) throw invalidZip(`Part "${entry.name}" is out of bounds`);
+        entries.push(entry);
+    }
+    return entries;
+}
+
+// Inflates one entry, never producing more than its declared size
+function inflateEntry(data, entry) {
+    const header = entry.localHeaderOffset;
+    if (data.readUInt32LE(header) !== LOCAL_HEADER_SIGNATURE) throw invalidZip(`Part "${entry.name}" is corrupt`);
+    const start = header + 30 + data.readUInt16LE(header + 26) + data.readUInt16LE(header + 28);
+    const compressed = data.subarray(start, start + entry.compressedSize);
+    if (compressed.length !== entry.compressedSize) throw invalidZip(`Part "${entry.name}" is truncated`);
+    if (entry.method === 0) return compressed;
+    try {
+        return zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(entry.size, 1) });
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') throw zipBomb(`Part "${entry.name}" expands beyond its declared size`);
+        throw invalidZip(`Part "${entry.name}" could not be decompressed`);
+    }
+}
+
+function inspectZip(data) {
+    const entries = readCentralDirectory(data);
+
+    const names = entries.map(entry => entry.name.toLowerCase());
+    if (names.some(name => name.endsWith('vbaproject.bin') || name.startsWith('xl/macrosheets/'))) {
+        throw macroEnabled('Workbooks with macros are not accepted. Save the file as .xlsx without macros and upload it again.');
+    }
+    if (names.some(name => name.startsWith('xl/activex/'))) {
+        throw macroEnabled('Workbooks with ActiveX controls are not accepted');
+    }
+
+    const limit = maxUncompressedBytes();
+    const declared = entries.reduce((sum, entry) => sum + entry.size, 0);
+    if (declared > limit) {
+        throw zipBomb(`The workbook expands to ${(declared / 1024 / 1024).toFixed(1)} MB (at most ${limit / 1024 / 1024} MB allowed)`);
+    }
+
+    let contentTypes = null;
+    for (const entry of entries) {
+        if (entry.size >= RATIO_CHECK_MIN_BYTES && entry.size / Math.max(entry.compressedSize, 1) > MAX_COMPRESSION_RATIO) {
+            throw zipBomb(`Part "${entry.name}" is compressed more than ${MAX_COMPRESSION_RATIO}:1`);
+        }
+        const content = inflateEntry(data, entry);
+        if (content.length !== entry.size) throw invalidZip(`Part "${entry.name}" does not have its declared size`);
+        if (entry.name === '[Content_Types].xml') contentTypes = content.toString('utf8');
+    }
+
+    // Content types of the parts present (Default entries only map extensions and may name macro types)
+    const partTypes = [...(contentTypes || '').matchAll(/<Override\b[^>]*\bContentType="([^"]*)"/g)].map(match => match[1]);
+    if (!partTypes.some(type => /(spreadsheetml|ms-excel)\.(sheet|template)(\.macroEnabled)?\.main\+xml$/i.test(type))) {
+        throw new FileInspectionError(422, 'NOT_A_SPREADSHEET', 'File content is not an Excel workbook');
+    }
+    if (partTypes.some(type => /macroEnabled|vbaProject/i.test(type))) {
+        throw macroEnabled('Macro-enabled workbooks are not accepted. Save the file as .xlsx and upload it again.');
+    }
+}
+
+// A Compound File (OLE) named .xlsx is either a password-protected workbook or a renamed .xls
+function inspectOle(data) {
+    if (data.includes(ENCRYPTED_PACKAGE_NAME)) {
+        throw new FileInspectionError(422, 'ENCRYPTED_FILE', 'Password-protected workbooks are not accepted');
+    }
+    throw new FileInspectionError(415, 'CONTENT_MISMATCH', 'File content is a legacy .xls workbook. Save it as .xlsx and upload it again.');
+}
+
+// Only .xlsx names pass; macro-enabled and legacy .xls workbooks are refused with their own reason
+function checkExtension(filename) {
+    const extension = (/\.([^.]+)$/.exec(filename || '') || [])[1]?.toLowerCase();
+    if (MACRO_EXTENSIONS.includes(extension)) {
+        throw macroEnabled(`.${extension} workbooks can contain macros and are not accepted. Save the file as .xlsx and upload it again.`);
+    }
+    if (extension === 'xls') {
+        throw new FileInspectionError(400, 'INVALID_FILE_TYPE', 'Legacy .xls workbooks are not accepted. Save the file as .xlsx and upload it again.');
+    }
+    if (extension !== 'xlsx') {
+        throw new FileInspectionError(400, 'INVALID_FILE_TYPE', 'Invalid file type. Only .xlsx files are allowed.');
+    }
+}
+
+function tooLarge(maxBytes) {
+    return new FileInspectionError(413, 'FILE_TOO_LARGE', `File is too large. The limit is ${maxBytes / 1024 / 1024} MB.`);
+}
+
+/**
+ * Checks an uploaded file (`{ filename, data }`) before it is parsed: the
+ * extension, size (MAX_UPLOAD_SIZE_MB), that the content really is the
+ * format the extension claims, the ZIP structure of .xlsx files including
+ * zip bomb limits (MAX_UNCOMPRESSED_SIZE_MB, entry count, compression ratio,
+ * declared vs actual sizes), macros, ActiveX and encryption. Legacy .xls
+ * workbooks are not accepted.
+ *
+ * Throws FileInspectionError with the HTTP status and a code the page can show.
+ */
+function inspectUpload(file, { maxBytes = maxUploadBytes() } = {}) {
+    checkExtension(file.filename);
+
+    const data = file.data;
+    if (!data || data.length === 0) {
+        throw new FileInspectionError(400, 'EMPTY_FILE', 'The uploaded file is empty');
+    }
+    if (data.length > maxBytes) {
+        throw tooLarge(maxBytes);
+    }
+
+    if (data.subarray(0, OLE_SIGNATURE.length).equals(OLE_SIGNATURE)) {
+        inspectOle(data);
+    } else if (data.subarray(0, ZIP_SIGNATURE.length).equals(ZIP_SIGNATURE)) {
+        inspectZip(data);
+    } else {
+        throw new FileInspectionError(415, 'CONTENT_MISMATCH', 'File content is not an Excel workbook, although it is named .xlsx');
+    }
+}
+
+module.exports = {
+    ZIP_SIGNATURE,
+    OLE_SIGNATURE,
+    FileInspectionError,
+    maxUploadBytes,
+    checkExtension,
+    tooLarge,
+    inspectUpload
+};
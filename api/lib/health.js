@@ -0,0 +1,125 @@
+const { getSetting, getSettingValue, numberSetting } = require('./config');
+const { getStorageProvider } = require('./storage');
+const { loadTaxonomy } = require('./taxonomy');
+const { loadAccessConfig } = require('./auth');
+const { loadEmissionFactors } = require('./conversion');
+const { loadDisclosures } = require('./reportExport');
+const { version: packageVersion } = require('../package.json');
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+// Settings whose source is reported; values are never included
+const REPORTED_SETTINGS = ['STORAGE_PROVIDER', 'AzureWebJobsStorage', 'LOCAL_STORAGE_PATH', 'TAXONOMY_PATH', 'ACCESS_CONFIG_PATH',
+    'EMISSION_FACTORS_PATH', 'DISCLOSURES_PATH', 'MAX_UPLOAD_SIZE_MB', 'UPLOAD_GRANT_MINUTES'];
+
+// Configuration files read on demand, loaded here so a broken file shows up before the first upload
+const CONFIG_FILES = {
+    taxonomy: loadTaxonomy,
+    access: loadAccessConfig,
+    emissionFactors: loadEmissionFactors,
+    disclosures: loadDisclosures
+};
+
+const startedAt = new Date();
+
+function buildInfo(now) {
+    return {
+        version: getSettingValue('BUILD_VERSION', packageVersion),
+        node: process.version,
+        startedAt: startedAt.toISOString(),
+        uptimeSeconds: Math.round((now - startedAt) / 1000)
+    };
+}
+
+function withTimeout(promise, ms, what) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${what} did not answer within ${ms} ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// The answer is anonymous, so failures only say which check failed; `log` gets the reason
+function checkConfig(log) {
+    const settings = {};
+    for (const name of REPORTED_SETTINGS) {
+        settings[name] = getSetting(name).source || 'default';
+    }
+    const files = {};
+    let status = 'ok';
+    for (const [name, load] of Object.entries(CONFIG_FILES)) {
+        try {
+            load();
+            files[name] = 'ok';
+        } catch (error) {
+            log(`Error: Health check: ${name} configuration does not load:`, error.message);
+            files[name] = 'error';
+            status = 'fail';
+        }
+    }
+    return { status, settings, files };
+}
+
+// Reaches the storage account (or local directory) and looks for the upload container
+async function checkStorage(timeoutMs, log) {
+    const started = Date.now();
+    try {
+        const storage = getStorageProvider();
+        const containerExists = await withTimeout(storage.containerExists(), timeoutMs, 'Storage');
+        return {
+            // The container is created with the first upload, so a missing one only warns
+            status: containerExists ? 'ok' : 'warn',
+            provider: storage.kind,
+            container: storage.containerName,
+            reachable: true,
+            containerExists,
+            latencyMs: Date.now() - started
+        };
+    } catch (error) {
+        log('Error: Health check: storage not reachable:', error.message);
+        return {
+            status: 'fail',
+            reachable: false,
+            containerExists: null,
+            latencyMs: Date.now() - started
+        };
+    }
+}
+
+/**
+ * Liveness: the function host runs and answers. Touches no dependency.
+ */
+function checkLiveness(now = new Date()) {
+    return {
+        status: 'live',
+        checkedAt: now.toISOString(),
+        build: buildInfo(now)
+    };
+}
+
+/**
+ * Readiness: the settings and configuration files load and storage answers
+ * within HEALTH_TIMEOUT_MS (default 5000). `status` is `ready`, `degraded`
+ * (a check warns, e.g. the upload container does not exist yet) or
+ * `unavailable` (a check failed; uploads will not work). Why a check
+ * failed goes to `log`, not into the result.
+ */
+async function checkReadiness({ log = () => {}, now = new Date() } = {}) {
+    const timeoutMs = numberSetting('HEALTH_TIMEOUT_MS', DEFAULT_TIMEOUT_MS);
+    const checks = {
+        config: checkConfig(log),
+        storage: await checkStorage(timeoutMs, log)
+    };
+    const statuses = Object.values(checks).map(check => check.status);
+    return {
+        status: statuses.includes('fail') ? 'unavailable' : statuses.includes('warn') ? 'degraded' : 'ready',
+        checkedAt: now.toISOString(),
+        build: buildInfo(now),
+        checks
+    };
+}
+
+module.exports = {
+    checkLiveness,
+    checkReadiness
+};
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { z } = require('zod');
+const { version } = require('../package.json');
+const { AUDIT_CONTAINER, getStorageProvider, StorageConfigError, InvalidBlobNameError } = require('./storage');
+const { METADATA_FIELDS, extractionName, manifestName, validationName, isSidecar, toFileSummary, readFileSummary, listUploads } = require('./uploads');
+const { AuthError, hasRole, canAccessCompany } = require('./auth');
+const { STATUSES, WorkflowError, isReportable, getStatusHistory } = require('./workflow');
+const { aggregate, collectRows } = require('./metricsSummary');
+const { parsePeriod, periodContains } = require('./taxonomy');
+const { checkMetadata, processWorkbook } = require('./uploadPipeline');
+const { FileInspectionError, maxUploadBytes, checkExtension, tooLarge } = require('./fileInspection');
+const { recordEvent, uploadEvents } = require('./audit');
+
+const DEFAULT_LIMIT = 50;
+const MAX_UPLOADS = 200;
+const MAX_VALUES = 1000;
+
+// Row dimensions get_metric_values filters on, matched case-insensitively
+const VALUE_FILTERS = ['company', 'business_unit', 'location', 'topic', 'metric', 'unit'];
+
+function toolResult(value) {
+    return { content: [{ type: 'text', text: JSON.stringify(value, null, 2) }] };
+}
+
+function toolError(error, details = {}) {
+    return { isError: true, content: [{ type: 'text', text: JSON.stringify({ error, ...details }, null, 2) }] };
+}
+
+function requireRoles(user, roles) {
+    if (!hasRole(user, roles)) {
+        throw new AuthError(403, `This action requires one of the roles: ${roles.join(', ')}`);
+    }
+}
+
+// The errors errorResponse maps to 4xx answers become tool errors; anything else is logged
+function handled(log, handler) {
+    return async args => {
+        try {
+            return await handler(args);
+        } catch (error) {
+            if (error instanceof AuthError || error instanceof WorkflowError || error instanceof StorageConfigError || error instanceof InvalidBlobNameError) {
+                return toolError(error.message);
+            }
+            log('Error: MCP tool failed:', error);
+            return toolError('Internal error', { details: error.message });
+        }
+    };
+}
+
+const text = description => z.string().optional().describe(description);
+const list = description => z.union([z.string(), z.array(z.string())]).optional().describe(description);
+
+/**
+ * Model Context Protocol server exposing the uploads to `user` (see
+ * auth.userFromPrincipal) with the same company scoping and roles as the
+ * HTTP API:
+ *   - list_uploads and get_upload_metadata read the blob metadata the
+ *     storage handler writes
+ *   - get_metric_values reads the extracted data points
+ *   - submit_workbook runs the upload checks and stores the workbook like
+ *     POST /api/storage, recorded in the audit trail
+ * `log` receives diagnostics; over stdio it must not write to stdout.
+ */
+function createMcpServer(user, { log = () => {} } = {}) {
+    const server = new McpServer({ name: 'esg-uploads', version });
+    const canAccess = company => canAccessCompany(user, company);
+
+    server.registerTool('list_uploads', {
+        title: 'List ESG uploads',
+        description: 'Lists uploaded ESG workbooks the user may see, with their metadata (company, business units, locations, periods, topics, metrics, units) and review status. Filters match one value of the field, case-insensitively.',
+        inputSchema: {
+            company: text('Company name'),
+            business_unit: text('Business unit'),
+            location: text('Location or site'),
+            time_period: text('Period as uploaded, e.g. 2024, 2024-Q1 or 2024-03'),
+            esg_topic: text('ESG topic, e.g. Energy'),
+            esg_metric: text('ESG metric, e.g. Total Energy Consumption'),
+            unit: text('Unit, e.g. kWh'),
+            status: z.array(z.enum(STATUSES)).optional().describe('Review statuses to include (default: all)'),
+            include_superseded: z.boolean().optional().describe('Also list versions replaced by a newer upload'),
+            limit: z.number().int().min(1).max(MAX_UPLOADS).optional().describe(`At most this many uploads (default ${DEFAULT_LIMIT})`)
+        },
+        annotations: { readOnlyHint: true }
+    }, handled(log, async args => {
+        const filters = {};
+        for (const field of METADATA_FIELDS) {
+            if (args[field] && args[field].trim()) filters[field] = args[field];
+        }
+        const { files, hasMore } = await listUploads(getStorageProvider(), canAccess, {
+            filters,
+            statuses: args.status || [],
+            includeSuperseded: args.include_superseded === true,
+            limit: args.limit || DEFAULT_LIMIT
+        });
+        return toolResult({ count: files.length, hasMore, uploads: files });
+    }));
+
+    server.registerTool('get_upload_metadata', {
+        title: 'Get ESG upload details',
+        description: 'Returns one upload by its blob name (the "name" from list_uploads): metadata, review status and history, data quality report and how many data points were extracted.',
+        inputSchema: {
+            name: z.string().describe('Blob name of the upload, e.g. ev-incorporated/2024/<id>.xlsx')
+        },
+        annotations: { readOnlyHint: true }
+    }, handled(log, async ({ name }) => {
+        const storage = getStorageProvider();
+        const blob = isSidecar(name) ? null : await storage.getMetadata(name);
+        // Uploads of other companies are reported as missing, as in the files API
+        if (!blob || !canAccess(toFileSummary(blob).metadata.company)) return toolError('File not found', { name });
+
+        const extraction = await storage.get(extractionName(name));
+        const manifest = await storage.getMetadata(manifestName(name));
+        const validation = await storage.get(validationName(name));
+        return toolResult({
+            ...await readFileSummary(storage, blob),
+            dataPointCount: extraction ? JSON.parse(extraction.data.toString('utf8')).dataPointCount : null,
+            manifestFileName: manifest ? manifest.name : null,
+            validation: validation ? JSON.parse(validation.data.toString('utf8')) : null,
+            statusHistory: await getStatusHistory(storage, name)
+        });
+    }));
+
+    server.registerTool('get_metric_values', {
+        title: 'Get reported ESG metric values',
+        description: 'Returns the values reported in approved uploads, in each metric\'s canonical unit, with totals per metric and the file, sheet and cell each value came from. '
+            + 'For "what did the Slough EV Hub report for Q1 2024 energy?" use location or business_unit "Slough EV Hub", period "2024-Q1" and topic "Energy".',
+        inputSchema: {
+            company: text('Company name'),
+            business_unit: text('Business unit'),
+            location: text('Location or site'),
+            period: text('Values reported for periods within this one, e.g. 2024, 2024-Q1 or 2024-03'),
+            topic: text('ESG topic, e.g. Energy or Emissions'),
+            metric: text('ESG metric, e.g. Total Energy Consumption'),
+            unit: text('Canonical unit, e.g. kWh'),
+            include_unapproved: z.boolean().optional().describe('Also include uploads not approved yet, for reviewers and admins (default: approved only, as on the dashboard)'),
+            limit: z.number().int().min(1).max(MAX_VALUES).optional().describe('At most this many values (default 200); totals always cover every match')
+        },
+        annotations: { readOnlyHint: true }
+    }, handled(log, async args => {
+        // Drafts and rejected uploads are only shown to the roles that review them
+        if (args.include_unapproved) requireRoles(user, ['reviewer', 'admin']);
+        const wanted = args.period ? parsePeriod(args.period) : null;
+        if (args.period && !wanted) {
+            return toolError(`"${args.period}" is not a recognised period (use e.g. 2024, 2024-Q1 or 2024-03)`);
+        }
+        const accept = args.include_unapproved ? upload => !upload.supersededBy : isReportable;
+        const { rows, uploadCount } = await collectRows(getStorageProvider(), canAccess, accept);
+
+        const filters = VALUE_FILTERS.filter(dimension => args[dimension] && args[dimension].trim());
+        const matching = rows.filter(row => {
+            if (filters.some(dimension => String(row[dimension]).toLowerCase() !== args[dimension].trim().toLowerCase())) return false;
+            const period = parsePeriod(row.period);
+            return !wanted || (!!period && periodContains(wanted, period));
+        });
+        const limit = args.limit || 200;
+        return toolResult({
+            uploadCount,
+            dataPointCount: matching.length,
+            totals: aggregate(matching, { groupBy: ['metric'] }).groups.map(({ key, total, count }) => ({ ...key, total, count })),
+            truncated: matching.length > limit,
+            values: matching.slice(0, limit)
+        });
+    }));
+
+    server.registerTool('submit_workbook', {
+        title: 'Submit an ESG workbook',
+        description: 'Uploads an Excel workbook (.xlsx) with its metadata. It goes through the same checks as the Quick Upload page: metadata against the ESG taxonomy, file inspection, parsing and the data quality rules. '
+            + 'Rejected workbooks come back as an error with the reason; duplicates of an earlier upload need replace.',
+        inputSchema: {
+            file_path: text('Path of the workbook on this machine'),
+            content_base64: text('The workbook as base64, instead of file_path'),
+            file_name: text('File name, required with content_base64'),
+            metadata: z.object({
+                company: text('Company name (may be left out by users assigned to a single company)'),
+                business_unit: list('Business units'),
+                location: list('Locations'),
+                time_period: list('Periods, e.g. 2024, 2024-Q1 or 2024-03'),
+                esg_topic: list('ESG topics'),
+                esg_metric: list('ESG metrics'),
+                unit: list('Units')
+            }).describe('Upload metadata, as on the form'),
+            replace: z.boolean().optional().describe('Store a duplicate of an earlier upload as its new version'),
+            draft: z.boolean().optional().describe('Store as a draft to submit for review later')
+        }
+    }, handled(log, async args => {
+        requireRoles(user, ['uploader', 'admin']);
+
+        if (!args.file_path === !args.content_base64) return toolError('Pass either file_path or content_base64');
+        if (args.content_base64 && !args.file_name) return toolError('file_name is required with content_base64');
+        const filename = args.file_name || path.basename(args.file_path);
+        let data;
+        try {
+            // Name and size are checked before anything is read, so the tool cannot read arbitrary files
+            checkExtension(filename);
+            if (args.file_path) {
+                const stats = await fs.promises.stat(args.file_path);
+                if (!stats.isFile()) return toolError(`${args.file_path} is not a file`);
+                if (stats.size > maxUploadBytes()) throw tooLarge(maxUploadBytes());
+            }
+            data = args.file_path ? await fs.promises.readFile(args.file_path) : Buffer.from(args.content_base64, 'base64');
+        } catch (readError) {
+            if (readError instanceof FileInspectionError) return toolError(readError.message, { code: readError.code });
+            return toolError(`Cannot read ${args.file_path}: ${readError.message}`);
+        }
+        const file = { filename, data };
+
+        const checked = checkMetadata(user, args.metadata, log);
+        if (checked.rejection) return toolError(checked.rejection.error, checked.rejection);
+        const { metadata, taxonomy } = checked;
+
+        const { result } = await processWorkbook({
+            storage: getStorageProvider(),
+            file,
+            metadata,
+            taxonomyVersion: taxonomy.version,
+            replace: args.replace === true,
+            uploadedBy: user,
+            status: args.draft === true ? 'draft' : 'submitted',
+            log
+        });
+        if (!result.success) return toolError(result.error, result);
+
+        const requestId = `mcp-${crypto.randomUUID()}`;
+        for (const event of uploadEvents(user, result, metadata)) {
+            try {
+                await recordEvent(getStorageProvider(AUDIT_CONTAINER), { ...event, actor: user, requestId });
+            } catch (auditError) {
+                log('Error: Audit event not recorded:', event.type, event.blobName, auditError.message);
+            }
+        }
+        log('MCP upload:', result.fileName, 'by', user.userDetails);
+
+        // The data points are left out; get_metric_values reads them
+        const { extraction, ...stored } = result;
+        return toolResult({ ...stored, metadata, dataPointCount: extraction.dataPointCount });
+    }));
+
+    return server;
+}
+
+module.exports = {
+    createMcpServer
+};
@@ -0,0 +1,191 @@
+const { toPeriodCode, canonicalName, loadTaxonomy } = require('./taxonomy');
+
+const SCHEMA_VERSION = 2;
+
+// Upload metadata: `company` is a single value, every other field a list
+const LIST_FIELDS = ['business_unit', 'location', 'time_period', 'esg_topic', 'esg_metric', 'unit'];
+const METADATA_FIELDS = ['company', ...LIST_FIELDS];
+
+// Taxonomy list each field's names are canonicalized against
+const TAXONOMY_KINDS = {
+    esg_topic: 'topics',
+    esg_metric: 'metrics',
+    unit: 'units'
+};
+
+const MAX_VALUE_LENGTH = 200;
+const MAX_VALUES_PER_FIELD = 50;
+
+// Azure allows 8 KB of metadata names and values per blob; the rest is kept for the truncation marker
+const MAX_BLOB_METADATA_BYTES = 8 * 1024 - 64;
+
+// NFC-normalized, trimmed, internal whitespace collapsed, control characters removed
+function normalizeText(value) {
+    return String(value)
+        .normalize('NFC')
+        .replace(/[\u0000-\u001f\u007f]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Legacy clients send lists as comma-joined strings; structured clients send arrays
+function toList(value) {
+    if (value === undefined || value === null) return [];
+    if (Array.isArray(value)) return value;
+    return String(value).split(',');
+}
+
+/**
+ * Normalizes and validates upload metadata.
+ *
+ * `input` is either the structured form (`{ company: 'Acme', unit: ['kWh'] }`,
+ * as sent in the `metadata` JSON part) or the legacy flat form fields with
+ * comma-separated strings. Values are trimmed and NFC-normalized, duplicates
+ * dropped (case-insensitively), periods converted to codes ("2024",
+ * "2024-Q1", "2024-03") and topic/metric/unit names given the taxonomy's spelling.
+ *
+ * Returns { metadata, missingFields, errors }; `errors` lists
+ * { field, value, message } for malformed values.
+ */
+function normalizeMetadata(input, taxonomy = loadTaxonomy()) {
+    const metadata = {};
+    const missingFields = [];
+    const errors = [];
+    const error = (field, value, message) => errors.push({ field, value, message });
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { metadata, missingFields: METADATA_FIELDS.slice(), errors };
+    }
+
+    if (input.company !== undefined && input.company !== null && typeof input.company !== 'string') {
+        error('company', input.company, 'Company must be a string');
+    }
+    metadata.company = typeof input.company === 'string' ? normalizeText(input.company) : '';
+    if (!metadata.company) missingFields.push('company');
+    if (metadata.company.length > MAX_VALUE_LENGTH) {
+        error('company', metadata.company, `Company must be at most ${MAX_VALUE_LENGTH} characters`);
+    }
+
+    for (const field of LIST_FIELDS) {
+        const values = [];
+        const seen = new Set();
+        for (const raw of toList(input[field])) {
+            if (typeof raw !== 'string') {
+                error(field, raw, `Values of ${field} must be strings`);
+                continue;
+            }
+            let value = normalizeText(raw);
+            if (!value) continue;
+            if (value.length > MAX_VALUE_LENGTH) {
+                error(field, value, `Values of ${field} must be at most ${MAX_VALUE_LENGTH} characters`);
+                continue;
+            }
+            if (field === 'time_period') {
+                const code = toPeriodCode(value);
+                if (!code) {
+                    error(field, value, `"${value}" is not a recognised period (use e.g. 2024, 2024-Q1 or 2024-03)`);
+                    continue;
+                }
+                value = code;
+            } else if (TAXONOMY_KINDS[field]) {
+                value = canonicalName(TAXONOMY_KINDS[field], value, taxonomy);
+            }
+            const key = value.toLowerCase();
+            if (seen.has(key)) continue;
+            seen.add(key);
+            values.push(value);
+        }
+        if (values.length > MAX_VALUES_PER_FIELD) {
+            error(field, values.length, `At most ${MAX_VALUES_PER_FIELD} values are allowed for ${field}`);
+        }
+        metadata[field] = values;
+        if (values.length === 0 && !errors.some(e => e.field === field)) missingFields.push(field);
+    }
+
+    return { metadata, missingFields, errors };
+}
+
+/**
+ * Encodes metadata for blob metadata headers, which only carry ASCII.
+ * Lists are stored as URI-encoded JSON so values containing commas or
+ * characters such as "m³" round-trip exactly through decodeBlobMetadata.
+ * `properties` are other string values kept on the blob (original filename,
+ * upload time...) and are URI-encoded the same way.
+ *
+ * Lists that would take the headers over Azure's 8 KB lose their last values,
+ * longest list first, and the blob is marked `metadataTruncated`; the upload's
+ * manifest keeps the full lists (see uploads.readFileSummary).
+ */
+function encodeBlobMetadata(metadata, properties = {}) {
+    const encoded = { metadataSchema: String(SCHEMA_VERSION) };
+    for (const [key, value] of Object.entries(properties)) {
+        if (value !== undefined && value !== null) encoded[key] = encodeURIComponent(String(value));
+    }
+    if (metadata.company !== undefined) encoded.company = encodeURIComponent(metadata.company);
+
+    const lists = LIST_FIELDS.filter(field => metadata[field] !== undefined).map(field => [field, metadata[field].slice()]);
+    const encodeLists = () => Object.fromEntries(lists.map(([field, values]) => [field, encodeURIComponent(JSON.stringify(values))]));
+    const size = headers => Object.entries(headers).reduce((total, [key, value]) => total + key.length + value.length, 0);
+    let encodedLists = encodeLists();
+    while (size({ ...encoded, ...encodedLists }) > MAX_BLOB_METADATA_BYTES) {
+        const longest = lists.reduce((a, b) => (encodedLists[b[0]].length > encodedLists[a[0]].length ? b : a));
+        if (longest[1].length === 0) break;
+        longest[1].pop();
+        encoded.metadataTruncated = 'true';
+        encodedLists = encodeLists();
+    }
+    return { ...encoded, ...encodedLists };
+}
+
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+/**
+ * Reads blob metadata back into { metadata, properties }. Blobs written before
+ * the structured schema hold raw comma-joined strings and are split the old way.
+ */
+function decodeBlobMetadata(raw = {}) {
+    const structured = raw.metadataSchema === String(SCHEMA_VERSION);
+    const metadata = {};
+    const properties = {};
+
+    for (const [key, value] of Object.entries(raw)) {
+        if (key === 'metadataSchema' || METADATA_FIELDS.includes(key)) continue;
+        properties[key] = structured ? safeDecode(value) : value;
+    }
+
+    for (const field of METADATA_FIELDS) {
+        const value = raw[field];
+        if (value === undefined) {
+            metadata[field] = field === 'company' ? '' : [];
+        } else if (!structured) {
+            metadata[field] = field === 'company'
+                ? value
+                : value.split(',').map(item => item.trim()).filter(Boolean);
+        } else if (field === 'company') {
+            metadata[field] = safeDecode(value);
+        } else {
+            try {
+                metadata[field] = JSON.parse(safeDecode(value));
+            } catch (error) {
+                metadata[field] = [];
+            }
+        }
+    }
+
+    return { metadata, properties };
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    METADATA_FIELDS,
+    LIST_FIELDS,
+    normalizeMetadata,
+    encodeBlobMetadata,
+    decodeBlobMetadata
+};
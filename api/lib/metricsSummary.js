@@ -0,0 +1,176 @@
+const { parsePeriod, formatPeriodCode, canonicalName, loadTaxonomy } = require('./taxonomy');
+const { extractionName, isSidecar, readFileSummary } = require('./uploads');
+const { isReportable } = require('./workflow');
+const { normalizeDataPoint, loadEmissionFactors } = require('./conversion');
+
+// Dimensions the summary can be grouped and filtered by
+const DIMENSIONS = ['company', 'business_unit', 'location', 'period', 'topic', 'metric', 'unit'];
+const GRANULARITIES = ['year', 'quarter', 'month'];
+const UNSPECIFIED = '(unspecified)';
+
+// Values of one upload's metadata list that apply to every row: the value when there is exactly one
+function onlyValue(values) {
+    return values && values.length === 1 ? values[0] : null;
+}
+
+/**
+ * Rolls a period up to the requested granularity ("2024-03" → "2024-Q1" for
+ * quarters). Periods coarser than the granularity keep their own code, and
+ * unrecognised periods stay as written.
+ */
+function bucketPeriod(text, granularity) {
+    const period = parsePeriod(text);
+    if (!period) return text || UNSPECIFIED;
+    if (granularity === 'year' || period.type === 'year') return String(period.year);
+    if (granularity === 'quarter' || period.type === 'quarter') {
+        const quarter = period.type === 'quarter' ? period.quarter : Math.ceil(period.month / 3);
+        return formatPeriodCode({ type: 'quarter', year: period.year, quarter });
+    }
+    return formatPeriodCode(period);
+}
+
+// The same period one year earlier ("2024-Q1" → "2023-Q1"), or null when not a period
+function previousYearPeriod(code) {
+    const period = parsePeriod(code);
+    return period ? formatPeriodCode({ ...period, year: period.year - 1 }) : null;
+}
+
+/**
+ * Turns an upload's extracted data points into rows with every summary
+ * dimension filled in. Row values win; otherwise the upload's metadata is
+ * used when it names a single value. Values are in the metric's canonical
+ * unit (see conversion), and the CO2e calculated at upload time is added as
+ * "Scope 1 Emissions" / "Scope 2 Emissions" rows in tCO2e.
+ */
+function toRows(upload, dataPoints, taxonomy = loadTaxonomy(), factors = loadEmissionFactors()) {
+    const { metadata } = upload;
+    const rows = [];
+    for (const stored of dataPoints) {
+        if (stored.value === null) continue;
+        // Extractions from before unit conversion are normalized when read
+        const point = stored.normalizedUnit !== undefined ? stored : normalizeDataPoint(stored, { taxonomy, factors });
+        const metric = canonicalName('metrics', point.metric, taxonomy);
+        const taxonomyMetric = taxonomy.metrics.find(item => item.name === metric);
+        const row = {
+            company: metadata.company || UNSPECIFIED,
+            business_unit: point.businessUnit || onlyValue(metadata.business_unit) || UNSPECIFIED,
+            location: point.location || onlyValue(metadata.location) || UNSPECIFIED,
+            period: point.period || onlyValue(metadata.time_period) || UNSPECIFIED,
+            topic: taxonomyMetric?.topic || onlyValue(metadata.esg_topic) || UNSPECIFIED,
+            metric,
+            unit: point.normalizedUnit ? canonicalName('units', point.normalizedUnit, taxonomy) : onlyValue(metadata.unit) || UNSPECIFIED,
+            value: point.normalizedValue,
+            reportedValue: point.value,
+            reportedUnit: point.unit,
+            fileName: upload.name,
+            sheet: point.source?.sheet || null,
+            cell: point.source?.cell || null
+        };
+        rows.push(row);
+        if (stored.emissions) {
+            rows.push({
+                ...row,
+                topic: 'Emissions',
+                metric: `Scope ${stored.emissions.scope} Emissions`,
+                unit: stored.emissions.unit,
+                value: stored.emissions.co2e
+            });
+        }
+    }
+    return rows;
+}
+
+/**
+ * Aggregates rows by the `groupBy` dimensions. Values are never added across
+ * units, so `unit` is always part of the grouping; periods are rolled up to
+ * `granularity`. With `yoy`, each group also gets the previous year's total
+ * for the same period and the change against it (`period` is then grouped too).
+ *
+ * Returns { groupBy, granularity, groups } where each group is
+ * { key, total, count, min, max, average, previousTotal?, delta?, deltaPercent? }.
+ */
+function aggregate(rows, { groupBy = ['metric'], granularity = 'year', yoy = false } = {}) {
+    const dimensions = DIMENSIONS.filter(dimension =>
+        groupBy.includes(dimension) || dimension === 'unit' || (yoy && dimension === 'period'));
+
+    const groups = new Map();
+    for (const row of rows) {
+        const key = {};
+        for (const dimension of dimensions) {
+            key[dimension] = dimension === 'period' ? bucketPeriod(row.period, granularity) : row[dimension];
+        }
+        const id = JSON.stringify(key);
+        const group = groups.get(id) || { key, total: 0, count: 0, min: Infinity, max: -Infinity };
+        group.total += row.value;
+        group.count++;
+        group.min = Math.min(group.min, row.value);
+        group.max = Math.max(group.max, row.value);
+        groups.set(id, group);
+    }
+
+    const result = [...groups.values()].map(group => ({
+        ...group,
+        total: round(group.total),
+        average: round(group.total / group.count)
+    }));
+
+    if (yoy) {
+        const byId = new Map(result.map(group => [JSON.stringify(group.key), group]));
+        for (const group of result) {
+            const previousPeriod = previousYearPeriod(group.key.period);
+            const previous = previousPeriod && byId.get(JSON.stringify({ ...group.key, period: previousPeriod }));
+            group.previousTotal = previous ? previous.total : null;
+            group.delta = previous ? round(group.total - previous.total) : null;
+            group.deltaPercent = previous && previous.total !== 0
+                ? round((group.total - previous.total) / Math.abs(previous.total) * 100)
+                : null;
+        }
+    }
+
+    result.sort((a, b) => {
+        for (const dimension of dimensions) {
+            const order = String(a.key[dimension]).localeCompare(String(b.key[dimension]));
+            if (order !== 0) return order;
+        }
+        return 0;
+    });
+
+    return { groupBy: dimensions, granularity, groups: result };
+}
+
+/**
+ * Reads the extracted data of every upload the `canAccess` callback allows
+ * (called with the upload's company) and `accept` selects (called with the
+ * upload's file summary; approved, current uploads by default). Returns
+ * { rows, uploads, uploadCount } with the summaries of the uploads read.
+ */
+async function collectRows(storage, canAccess, accept = isReportable) {
+    const taxonomy = loadTaxonomy();
+    const factors = loadEmissionFactors();
+    const rows = [];
+    const uploads = [];
+    for await (const blob of storage.list()) {
+        if (isSidecar(blob.name)) continue;
+        const upload = await readFileSummary(storage, blob);
+        if (!accept(upload) || !canAccess(upload.metadata.company)) continue;
+        const sidecar = await storage.get(extractionName(upload.name));
+        if (!sidecar) continue;
+        const { dataPoints = [] } = JSON.parse(sidecar.data.toString('utf8'));
+        rows.push(...toRows(upload, dataPoints, taxonomy, factors));
+        uploads.push(upload);
+    }
+    return { rows, uploads, uploadCount: uploads.length };
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+    DIMENSIONS,
+    GRANULARITIES,
+    bucketPeriod,
+    toRows,
+    aggregate,
+    collectRows
+};
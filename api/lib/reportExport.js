@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { getSettingValue } = require('./config');
+const { parsePeriod, periodBounds } = require('./taxonomy');
+const { aggregate } = require('./metricsSummary');
+
+const DEFAULT_DISCLOSURES_PATH = path.join(__dirname, '..', 'config', 'disclosures.json');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'disclosures'];
+
+// Columns of the flat export: [header, row → value]
+const DATA_COLUMNS = [
+    ['company', row => row.company],
+    ['business_unit', row => row.business_unit],
+    ['location', row => row.location],
+    ['period', row => row.period],
+    ['topic', row => row.topic],
+    ['metric', row => row.metric],
+    ['value', row => row.value],
+    ['unit', row => row.unit],
+    ['reported_value', row => row.reportedValue],
+    ['reported_unit', row => row.reportedUnit],
+    ['status', (row, upload) => upload.status],
+    ['file_name', row => row.fileName],
+    ['original_file_name', (row, upload) => upload.originalFileName],
+    ['uploaded_at', (row, upload) => upload.uploadedAt],
+    ['uploaded_by', (row, upload) => upload.uploadedBy],
+    ['emission_factors_version', (row, upload) => upload.emissionFactorsVersion],
+    ['sheet', row => row.sheet],
+    ['cell', row => row.cell]
+];
+
+const DISCLOSURE_COLUMNS = ['gri', 'esrs', 'disclosure', 'company', 'period', 'metric', 'value', 'unit', 'aggregation', 'data_points'];
+
+const UPLOAD_COLUMNS = ['file_name', 'original_file_name', 'company', 'time_period', 'status', 'uploaded_at', 'uploaded_by',
+    'status_changed_by', 'content_hash', 'emission_factors_version'];
+
+let cachedDisclosures = null;
+
+/**
+ * Loads the metric → GRI/ESRS disclosure mapping (api/config/disclosures.json,
+ * or the file named by the DISCLOSURES_PATH setting).
+ */
+function loadDisclosures() {
+    if (!cachedDisclosures) {
+        const disclosuresPath = getSettingValue('DISCLOSURES_PATH', DEFAULT_DISCLOSURES_PATH);
+        cachedDisclosures = JSON.parse(fs.readFileSync(disclosuresPath, 'utf8'));
+    }
+    return cachedDisclosures;
+}
+
+/**
+ * True when the row's period lies within `from`..`to` (parsed periods, either
+ * may be null for an open end). "2024" is within 2024-Q1..2024-Q4, "2024-Q1"
+ * is not within 2024-03..2024-06.
+ */
+function inPeriodRange(text, from, to) {
+    if (!from && !to) return true;
+    const period = parsePeriod(text);
+    if (!period) return false;
+    const bounds = periodBounds(period);
+    return (!from || bounds.start >= periodBounds(from).start) && (!to || bounds.end <= periodBounds(to).end);
+}
+
+// Flat records (one per data point, plus one per calculated CO2e value) in DATA_COLUMNS order
+function toDataRecords(rows, uploads) {
+    const byName = new Map(uploads.map(upload => [upload.name, upload]));
+    return rows.map(row => {
+        const upload = byName.get(row.fileName) || {};
+        const record = {};
+        for (const [header, value] of DATA_COLUMNS) {
+            const cell = value(row, upload);
+            record[header] = cell === undefined ? null : cell;
+        }
+        return record;
+    });
+}
+
+/**
+ * Disclosure layout: yearly totals per company and metric, labelled with the
+ * GRI and ESRS codes of the metric. Percentages are averaged instead of added.
+ * Metrics without a mapping are left out.
+ */
+function toDisclosureRecords(rows, disclosures = loadDisclosures()) {
+    const byMetric = new Map(disclosures.disclosures.map(entry => [entry.metric.toLowerCase(), entry]));
+    const mapped = rows.filter(row => byMetric.has(String(row.metric).toLowerCase()));
+    const { groups } = aggregate(mapped, { groupBy: ['company', 'metric', 'period'], granularity: 'year' });
+    return groups.map(group => {
+        const entry = byMetric.get(group.key.metric.toLowerCase());
+        const average = group.key.unit === '%';
+        return {
+            gri: entry.gri ? `GRI ${entry.gri}` : null,
+            esrs: entry.esrs ? `ESRS ${entry.esrs}` : null,
+            disclosure: entry.title,
+            company: group.key.company,
+            period: group.key.period,
+            metric: group.key.metric,
+            value: average ? group.average : group.total,
+            unit: group.key.unit,
+            aggregation: average ? 'average' : 'sum',
+            data_points: group.count
+        };
+    }).sort((a, b) => String(a.gri).localeCompare(String(b.gri)) || a.company.localeCompare(b.company) ||
+        a.period.localeCompare(b.period) || a.metric.localeCompare(b.metric));
+}
+
+function toUploadRecords(uploads) {
+    return uploads.map(upload => ({
+        file_name: upload.name,
+        original_file_name: upload.originalFileName,
+        company: upload.metadata.company,
+        time_period: upload.metadata.time_period.join(', '),
+        status: upload.status,
+        uploaded_at: upload.uploadedAt,
+        uploaded_by: upload.uploadedBy,
+        status_changed_by: upload.statusChangedBy,
+        content_hash: upload.contentHash,
+        emission_factors_version: upload.emissionFactorsVersion
+    }));
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    // Keep spreadsheet apps from running text such as "=HYPERLINK(...)" as a formula
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = "'" + text;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Records as CSV with a header row. Starts with a byte order mark so Excel
+ * reads characters such as "m³" as UTF-8.
+ */
+function toCsv(records, columns) {
+    const lines = [columns.join(',')];
+    for (const record of records) {
+        lines.push(columns.map(column => csvCell(record[column])).join(','));
+    }
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * The consolidated workbook: Data (flat records), Disclosures, Uploads and an
+ * Export sheet describing the filters and versions used. Resolves to a Buffer.
+ */
+async function toWorkbook({ data, disclosures, uploads, info }) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = (name, records, columns) => {
+        const worksheet = workbook.addWorksheet(name);
+        worksheet.addRow(columns);
+        for (const record of records) {
+            worksheet.addRow(columns.map(column => record[column] ?? null));
+        }
+    };
+    sheet('Data', data, DATA_COLUMNS.map(([header]) => header));
+    sheet('Disclosures', disclosures, DISCLOSURE_COLUMNS);
+    sheet('Uploads', uploads, UPLOAD_COLUMNS);
+    workbook.addWorksheet('Export').addRows(Object.entries(info));
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    DATA_COLUMNS,
+    DISCLOSURE_COLUMNS,
+    loadDisclosures,
+    inPeriodRange,
+    toDataRecords,
+    toDisclosureRecords,
+    toUploadRecords,
+    toCsv,
+    toWorkbook
+};
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const { numberSetting } = require('./config');
+const { maxUploadBytes } = require('./fileInspection');
+
+// Every part but the last has this size
+const CHUNK_SIZE = 4 * 1024 * 1024;
+
+const DEFAULT_GRANT_MINUTES = 60;
+
+const UPLOAD_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+class UploadSessionError extends Error {
+    constructor(status, message, code, details = {}) {
+        super(message);
+        this.name = 'UploadSessionError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+function sessionName(uploadId) {
+    return `sessions/${uploadId}.json`;
+}
+
+// The staged blob the parts are committed into
+function stagedName(uploadId) {
+    return `files/${uploadId}`;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function chunkLength(session, index) {
+    return index < session.chunkCount - 1 ? session.chunkSize : session.size - session.chunkSize * (session.chunkCount - 1);
+}
+
+async function saveSession(storage, session) {
+    await storage.put(sessionName(session.uploadId), JSON.stringify(session, null, 2), {
+        contentType: 'application/json'
+    });
+}
+
+/**
+ * Removes a resumable upload: its staged parts, the assembled file and the
+ * session record.
+ */
+async function deleteUploadSession(storage, session) {
+    // Azure has no call to delete uncommitted blocks: parts staged but never committed stay until Azure removes them after about 7 days
+    await storage.discardBlocks(stagedName(session.uploadId));
+    await storage.delete(stagedName(session.uploadId));
+    await storage.delete(sessionName(session.uploadId));
+}
+
+async function removeExpiredSessions(storage, now) {
+    for await (const blob of storage.list({ prefix: 'sessions/' })) {
+        const stored = await storage.get(blob.name);
+        const session = stored && JSON.parse(stored.data.toString('utf8'));
+        if (session && new Date(session.expiresAt) <= now) {
+            await deleteUploadSession(storage, session);
+        }
+    }
+}
+
+/**
+ * Starts a resumable upload of `fileName` (`size` bytes) for `user` in the
+ * staging storage. The grant runs for UPLOAD_GRANT_MINUTES (default 60).
+ * Resolves to `{ session, token }`; the token is only returned here and must
+ * accompany every part sent through the API.
+ */
+async function createUploadSession(storage, { fileName, size, user, now = new Date() }) {
+    if (typeof fileName !== 'string' || !/\.xlsx$/i.test(fileName) || fileName.length > 255) {
+        throw new UploadSessionError(400, 'Invalid file type. Only .xlsx files are allowed.', 'INVALID_FILE_TYPE');
+    }
+    const maxBytes = maxUploadBytes();
+    if (!Number.isInteger(size) || size <= 0) {
+        throw new UploadSessionError(400, 'size must be the file size in bytes', 'INVALID_SIZE');
+    }
+    if (size > maxBytes) {
+        throw new UploadSessionError(413, `File is too large. The limit is ${maxBytes / 1024 / 1024} MB.`, 'FILE_TOO_LARGE', { maxBytes });
+    }
+
+    await removeExpiredSessions(storage, now);
+
+    const minutes = numberSetting('UPLOAD_GRANT_MINUTES', DEFAULT_GRANT_MINUTES);
+    const token = crypto.randomBytes(32).toString('base64url');
+    const session = {
+        uploadId: crypto.randomUUID(),
+        fileName,
+        size,
+        chunkSize: CHUNK_SIZE,
+        chunkCount: Math.ceil(size / CHUNK_SIZE),
+        tokenHash: hashToken(token),
+        userId: user.userId,
+        userDetails: user.userDetails,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + minutes * 60 * 1000).toISOString(),
+        assembled: false
+    };
+    await saveSession(storage, session);
+    return { session, token };
+}
+
+/**
+ * The session of `uploadId` started by `user`. Unknown ids and other users'
+ * sessions are reported as not found; expired sessions are removed (410).
+ */
+async function loadUploadSession(storage, uploadId, user, now = new Date()) {
+    const stored = UPLOAD_ID_PATTERN.test(uploadId || '') ? await storage.get(sessionName(uploadId)) : null;
+    const session = stored && JSON.parse(stored.data.toString('utf8'));
+    if (!session || session.userId !== user.userId) {
+        throw new UploadSessionError(404, 'Upload not found', 'UPLOAD_NOT_FOUND');
+    }
+    if (new Date(session.expiresAt) <= now) {
+        await deleteUploadSession(storage, session);
+        throw new UploadSessionError(410, 'Upload grant expired. Start the upload again.', 'UPLOAD_EXPIRED');
+    }
+    return session;
+}
+
+function checkUploadToken(session, token) {
+    const expected = Buffer.from(session.tokenHash, 'hex');
+    const actual = Buffer.from(hashToken(token || ''), 'hex');
+    if (!token || !crypto.timingSafeEqual(expected, actual)) {
+        throw new UploadSessionError(403, 'Invalid upload token', 'INVALID_UPLOAD_TOKEN');
+    }
+}
+
+/**
+ * What the client needs to resume: the parts already received (by index),
+ * the ones still missing and, for Azure storage, a SAS URL to send them to
+ * directly (null means: PUT them to /api/uploads/{uploadId}/chunks/{index}).
+ */
+async function describeUploadSession(storage, session) {
+    const all = Array.from({ length: session.chunkCount }, (_, index) => index);
+    const received = session.assembled
+        ? all
+        : (await storage.listBlocks(stagedName(session.uploadId)))
+            .filter(block => block.index < session.chunkCount && block.size === chunkLength(session, block.index))
+            .map(block => block.index);
+    return {
+        uploadId: session.uploadId,
+        fileName: session.fileName,
+        size: session.size,
+        chunkSize: session.chunkSize,
+        chunkCount: session.chunkCount,
+        receivedChunks: received,
+        missingChunks: all.filter(index => !received.includes(index)),
+        expiresAt: session.expiresAt,
+        uploadUrl: session.assembled
+            ? null
+            : await storage.getUploadUrl(stagedName(session.uploadId), { expiresOn: new Date(session.expiresAt) })
+    };
+}
+
+// Stores part `index`, which must have exactly the length the session expects
+async function stageChunk(storage, session, index, data) {
+    if (!Number.isInteger(index) || index < 0 || index >= session.chunkCount) {
+        throw new UploadSessionError(400, `Chunk index must be between 0 and ${session.chunkCount - 1}`, 'INVALID_CHUNK');
+    }
+    if (session.assembled) {
+        throw new UploadSessionError(409, 'Upload is already complete', 'UPLOAD_COMPLETE');
+    }
+    const expected = chunkLength(session, index);
+    if (data.length !== expected) {
+        throw new UploadSessionError(400, `Chunk ${index} must be ${expected} bytes, got ${data.length}`, 'CHUNK_SIZE_MISMATCH');
+    }
+    await storage.stageBlock(stagedName(session.uploadId), index, data);
+}
+
+/**
+ * Joins the parts and checks the result against the declared size and the
+ * client's SHA-256 (hex). Parts stay staged while some are missing (409);
+ * a file that does not match is discarded with its session (422).
+ * Resolves to `{ filename, data }` for uploadPipeline.processWorkbook.
+ */
+async function assembleUpload(storage, session, sha256) {
+    if (!/^[0-9a-f]{64}$/i.test(sha256 || '')) {
+        throw new UploadSessionError(400, 'sha256 must be the hex SHA-256 of the file', 'INVALID_HASH');
+    }
+
+    if (!session.assembled) {
+        const status = await describeUploadSession(storage, session);
+        if (status.missingChunks.length > 0) {
+            throw new UploadSessionError(409, `Upload is incomplete: ${status.missingChunks.length} of ${session.chunkCount} chunks missing`,
+                'INCOMPLETE_UPLOAD', { missingChunks: status.missingChunks });
+        }
+        await storage.commitBlocks(stagedName(session.uploadId), session.chunkCount, {
+            contentType: 'application/octet-stream'
+        });
+        session.assembled = true;
+        await saveSession(storage, session);
+    }
+
+    // The size comes from the blob's properties, so a wrong-sized file is never downloaded
+    const staged = await storage.getMetadata(stagedName(session.uploadId));
+    if (!staged || staged.size !== session.size) {
+        await deleteUploadSession(storage, session);
+        throw new UploadSessionError(422, `Assembled file is ${staged ? staged.size : 0} bytes, expected ${session.size}`, 'SIZE_MISMATCH');
+    }
+
+    // Hashed while it streams in, in the one pass that also reads it for the parser
+    const stream = await storage.openReadStream(stagedName(session.uploadId));
+    const hash = crypto.createHash('sha256');
+    const chunks = [];
+    for await (const chunk of stream || []) {
+        hash.update(chunk);
+        chunks.push(chunk);
+    }
+    const data = Buffer.concat(chunks);
+    if (data.length !== session.size || hash.digest('hex') !== sha256.toLowerCase()) {
+        await deleteUploadSession(storage, session);
+        throw new UploadSessionError(422, 'File hash does not match. Upload the file again.', 'HASH_MISMATCH');
+    }
+    return { filename: session.fileName, data };
+}
+
+module.exports = {
+    CHUNK_SIZE,
+    UploadSessionError,
+    createUploadSession,
+    loadUploadSession,
+    checkUploadToken,
+    describeUploadSession,
+    stageChunk,
+    assembleUpload,
+    deleteUploadSession
+};
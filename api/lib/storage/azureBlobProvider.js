@@ -0,0 +1,195 @@
+const { BlobServiceClient, BlobSASPermissions } = require('@azure/storage-blob');
+
+/**
+ * Storage provider backed by a container in Azure Blob Storage (or Azurite).
+ * Containers are private; blobs are served through the API, never by URL.
+ */
+class AzureBlobStorageProvider {
+    constructor({ connectionString, containerName }) {
+        this.kind = 'azure';
+        this.containerName = containerName;
+        this.blobServiceClient = BlobServiceClient.fromConnectionString(connectionString);
+        this.containerClient = this.blobServiceClient.getContainerClient(containerName);
+        this.containerReady = null;
+    }
+
+    async ensureContainer() {
+        if (!this.containerReady) {
+            this.containerReady = this.createPrivateContainer().catch(error => {
+                this.containerReady = null;
+                throw error;
+            });
+        }
+        await this.containerReady;
+    }
+
+    // Containers created by earlier versions allowed anonymous reads; take that away
+    async createPrivateContainer() {
+        const { succeeded } = await this.containerClient.createIfNotExists();
+        if (succeeded) return;
+        const policy = await this.containerClient.getAccessPolicy();
+        if (policy.blobPublicAccess) {
+            await this.containerClient.setAccessPolicy(undefined, policy.signedIdentifiers);
+        }
+    }
+
+    // One round trip to the service; throws when the account cannot be reached or rejects the key
+    async containerExists() {
+        return this.containerClient.exists();
+    }
+
+    async put(name, data, { contentType, metadata } = {}) {
+        await this.ensureContainer();
+        const blockBlobClient = this.containerClient.getBlockBlobClient(name);
+        const body = Buffer.isBuffer(data) ? data : Buffer.from(data);
+        await blockBlobClient.uploadData(body, {
+            blobHTTPHeaders: {
+                blobContentType: contentType || 'application/octet-stream'
+            },
+            metadata: metadata || {}
+        });
+        return { name, size: body.length, url: blockBlobClient.url };
+    }
+
+    async get(name) {
+        const blobClient = this.containerClient.getBlobClient(name);
+        try {
+            const properties = await blobClient.getProperties();
+            const data = await blobClient.downloadToBuffer();
+            return {
+                name,
+                data,
+                size: properties.contentLength,
+                contentType: properties.contentType,
+                metadata: properties.metadata || {},
+                lastModified: properties.lastModified
+            };
+        } catch (error) {
+            if (error.statusCode === 404) return null;
+            throw error;
+        }
+    }
+
+    // Returns a Node.js readable stream of the blob content, or null when missing
+    async openReadStream(name) {
+        try {
+            const response = await this.containerClient.getBlobClient(name).download();
+            return response.readableStreamBody;
+        } catch (error) {
+            if (error.statusCode === 404) return null;
+            throw error;
+        }
+    }
+
+    async getMetadata(name) {
+        try {
+            const properties = await this.containerClient.getBlobClient(name).getProperties();
+            return {
+                name,
+                size: properties.contentLength,
+                contentType: properties.contentType,
+                metadata: properties.metadata || {},
+                lastModified: properties.lastModified
+            };
+        } catch (error) {
+            if (error.statusCode === 404) return null;
+            throw error;
+        }
+    }
+
+    async setMetadata(name, metadata) {
+        await this.containerClient.getBlobClient(name).setMetadata(metadata);
+    }
+
+    async *list({ prefix } = {}) {
+        await this.ensureContainer();
+        for await (const blob of this.containerClient.listBlobsFlat({ prefix, includeMetadata: true })) {
+            yield {
+                name: blob.name,
+                size: blob.properties.contentLength,
+                contentType: blob.properties.contentType,
+                metadata: blob.metadata || {},
+                lastModified: blob.properties.lastModified
+            };
+        }
+    }
+
+    // Adds to the end of an append blob, creating it on first use; earlier blocks can't be rewritten
+    async append(name, data, { contentType } = {}) {
+        await this.ensureContainer();
+        const appendBlobClient = this.containerClient.getAppendBlobClient(name);
+        const body = Buffer.isBuffer(data) ? data : Buffer.from(data);
+        await appendBlobClient.createIfNotExists({
+            blobHTTPHeaders: {
+                blobContentType: contentType || 'application/octet-stream'
+            }
+        });
+        await appendBlobClient.appendBlock(body, body.length);
+    }
+
+    // Write-only SAS URL the browser can send blocks to with `comp=block&blockid=<blockId(index)>`
+    async getUploadUrl(name, { expiresOn }) {
+        await this.ensureContainer();
+        return this.containerClient.getBlockBlobClient(name).generateSasUrl({
+            permissions: BlobSASPermissions.parse('w'),
+            expiresOn
+        });
+    }
+
+    async stageBlock(name, index, data) {
+        await this.ensureContainer();
+        await this.containerClient.getBlockBlobClient(name).stageBlock(blockId(index), data, data.length);
+    }
+
+    // Staged (uncommitted) blocks as [{ index, size }] sorted by index; ids not made by blockId are ignored
+    async listBlocks(name) {
+        let response;
+        try {
+            response = await this.containerClient.getBlockBlobClient(name).getBlockList('uncommitted');
+        } catch (error) {
+            if (error.statusCode === 404) return [];
+            throw error;
+        }
+        return (response.uncommittedBlocks || [])
+            .map(block => ({ index: blockIndex(block.name), size: block.size }))
+            .filter(block => block.index !== null)
+            .sort((a, b) => a.index - b.index);
+    }
+
+    async commitBlocks(name, count, { contentType, metadata } = {}) {
+        const blockBlobClient = this.containerClient.getBlockBlobClient(name);
+        const ids = Array.from({ length: count }, (_, index) => blockId(index));
+        await blockBlobClient.commitBlockList(ids, {
+            blobHTTPHeaders: {
+                blobContentType: contentType || 'application/octet-stream'
+            },
+            metadata: metadata || {}
+        });
+        const properties = await blockBlobClient.getProperties();
+        return { name, size: properties.contentLength, url: blockBlobClient.url };
+    }
+
+    // Azure drops uncommitted blocks by itself after a week; remove the blob in case it was committed
+    async discardBlocks(name) {
+        await this.containerClient.getBlobClient(name).deleteIfExists();
+    }
+
+    async delete(name) {
+        const response = await this.containerClient.getBlobClient(name).deleteIfExists();
+        return response.succeeded;
+    }
+}
+
+// Block ids must all have the same length: base64 of the zero-padded index
+function blockId(index) {
+    return Buffer.from(String(index).padStart(6, '0')).toString('base64');
+}
+
+function blockIndex(id) {
+    const text = Buffer.from(id, 'base64').toString('utf8');
+    return /^\d{6}$/.test(text) ? Number(text) : null;
+}
+
+module.exports = {
+    AzureBlobStorageProvider
+};
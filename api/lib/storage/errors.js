@@ -0,0 +1,18 @@
+class StorageConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'StorageConfigError';
+    }
+}
+
+class InvalidBlobNameError extends Error {
+    constructor(name) {
+        super(`Invalid blob name: ${name}`);
+        this.name = 'InvalidBlobNameError';
+    }
+}
+
+module.exports = {
+    StorageConfigError,
+    InvalidBlobNameError
+};
@@ -0,0 +1,63 @@
+const path = require('path');
+const { getSetting, getSettingValue } = require('../config');
+const { AzureBlobStorageProvider } = require('./azureBlobProvider');
+const { LocalFileStorageProvider } = require('./localFileProvider');
+const { StorageConfigError, InvalidBlobNameError } = require('./errors');
+
+const DEFAULT_CONTAINER = 'upload';
+// Container holding resumable uploads until they are finalized
+const STAGING_CONTAINER = 'upload-staging';
+// Container of the append-only audit trail
+const AUDIT_CONTAINER = 'audit';
+const DEFAULT_LOCAL_PATH = path.join(__dirname, '..', '..', '.local-storage');
+
+const providers = new Map();
+
+/**
+ * Creates the storage provider selected by the STORAGE_PROVIDER setting:
+ *   - `azure` (default): Azure Blob Storage via AzureWebJobsStorage
+ *   - `local`: files under LOCAL_STORAGE_PATH (defaults to api/.local-storage)
+ *
+ * Every provider exposes the same interface: put, get, openReadStream,
+ * getMetadata, setMetadata, list (async iterator), delete and
+ * containerExists, plus getUploadUrl, stageBlock, listBlocks, commitBlocks
+ * and discardBlocks for blobs uploaded in parts and append for logs that
+ * only grow.
+ */
+function createStorageProvider(containerName = DEFAULT_CONTAINER) {
+    const kind = getSettingValue('STORAGE_PROVIDER', 'azure').toLowerCase();
+
+    if (kind === 'local') {
+        return new LocalFileStorageProvider({
+            rootPath: getSettingValue('LOCAL_STORAGE_PATH', DEFAULT_LOCAL_PATH),
+            containerName
+        });
+    }
+
+    if (kind === 'azure') {
+        const { value: connectionString } = getSetting('AzureWebJobsStorage');
+        if (!connectionString) {
+            throw new StorageConfigError('Azure Storage configuration not found');
+        }
+        return new AzureBlobStorageProvider({ connectionString, containerName });
+    }
+
+    throw new StorageConfigError(`Unknown STORAGE_PROVIDER "${kind}" (expected "azure" or "local")`);
+}
+
+// One provider per container for the lifetime of the function host
+function getStorageProvider(containerName = DEFAULT_CONTAINER) {
+    if (!providers.has(containerName)) {
+        providers.set(containerName, createStorageProvider(containerName));
+    }
+    return providers.get(containerName);
+}
+
+module.exports = {
+    STAGING_CONTAINER,
+    AUDIT_CONTAINER,
+    createStorageProvider,
+    getStorageProvider,
+    StorageConfigError,
+    InvalidBlobNameError
+};
@@ -0,0 +1,231 @@
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { InvalidBlobNameError } = require('./errors');
+
+// Blob properties live in a parallel tree so listing the data tree only sees blobs
+const METADATA_DIR = '.metadata';
+
+// Parts of blobs uploaded in blocks wait here until they are committed
+const BLOCKS_DIR = '.blocks';
+
+/**
+ * Storage provider that keeps blobs as plain files under a local directory:
+ * `<root>/<container>/<blob name>` for content and
+ * `<root>/.metadata/<container>/<blob name>.json` for content type and metadata.
+ * Staged blocks are kept as `<root>/.blocks/<container>/<blob name>/<index>`.
+ * Meant for offline development and CI where Azurite is not available.
+ */
+class LocalFileStorageProvider {
+    constructor({ rootPath, containerName }) {
+        this.kind = 'local';
+        this.containerName = containerName;
+        this.rootPath = path.resolve(rootPath);
+        this.dataPath = path.join(this.rootPath, containerName);
+        this.metadataPath = path.join(this.rootPath, METADATA_DIR, containerName);
+        this.blocksPath = path.join(this.rootPath, BLOCKS_DIR, containerName);
+    }
+
+    // Maps a blob name to a file path, refusing names that escape the container
+    resolve(baseDir, name) {
+        const segments = String(name).split('/');
+        if (!name || segments.some(segment => segment === '' || segment === '.' || segment === '..')) {
+            throw new InvalidBlobNameError(name);
+        }
+        const filePath = path.join(baseDir, ...segments);
+        if (!filePath.startsWith(baseDir + path.sep)) {
+            throw new InvalidBlobNameError(name);
+        }
+        return filePath;
+    }
+
+    async ensureContainer() {
+        await fs.promises.mkdir(this.dataPath, { recursive: true });
+        await fs.promises.mkdir(this.metadataPath, { recursive: true });
+    }
+
+    // False until the first blob is written; other errors mean the root directory is unusable
+    async containerExists() {
+        try {
+            return (await fs.promises.stat(this.dataPath)).isDirectory();
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    async readProperties(name) {
+        try {
+            const json = await fs.promises.readFile(this.resolve(this.metadataPath, name) + '.json', 'utf8');
+            return JSON.parse(json);
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw error;
+        }
+    }
+
+    async writeProperties(name, properties) {
+        const propertiesPath = this.resolve(this.metadataPath, name) + '.json';
+        await fs.promises.mkdir(path.dirname(propertiesPath), { recursive: true });
+        await fs.promises.writeFile(propertiesPath, JSON.stringify(properties, null, 2));
+    }
+
+    async put(name, data, { contentType, metadata } = {}) {
+        const filePath = this.resolve(this.dataPath, name);
+        const body = Buffer.isBuffer(data) ? data : Buffer.from(data);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, body);
+        await this.writeProperties(name, {
+            contentType: contentType || 'application/octet-stream',
+            metadata: metadata || {}
+        });
+        return { name, size: body.length, url: pathToFileURL(filePath).href };
+    }
+
+    async get(name) {
+        const info = await this.getMetadata(name);
+        if (!info) return null;
+        const data = await fs.promises.readFile(this.resolve(this.dataPath, name));
+        return { ...info, data };
+    }
+
+    // Returns a Node.js readable stream of the blob content, or null when missing
+    async openReadStream(name) {
+        if (!await this.getMetadata(name)) return null;
+        return fs.createReadStream(this.resolve(this.dataPath, name));
+    }
+
+    async getMetadata(name) {
+        let stats;
+        try {
+            stats = await fs.promises.stat(this.resolve(this.dataPath, name));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+        if (!stats.isFile()) return null;
+        const properties = await this.readProperties(name);
+        return {
+            name,
+            size: stats.size,
+            contentType: properties.contentType || 'application/octet-stream',
+            metadata: properties.metadata || {},
+            lastModified: stats.mtime
+        };
+    }
+
+    async setMetadata(name, metadata) {
+        const properties = await this.readProperties(name);
+        await this.writeProperties(name, { ...properties, metadata });
+    }
+
+    async *list({ prefix } = {}) {
+        await this.ensureContainer();
+        for (const name of await this.walk(this.dataPath, '')) {
+            if (prefix && !name.startsWith(prefix)) continue;
+            const info = await this.getMetadata(name);
+            if (info) yield info;
+        }
+    }
+
+    // Blob names under a directory, sorted like Azure's lexicographic listing
+    async walk(dir, namePrefix) {
+        const names = [];
+        for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+            const name = namePrefix + entry.name;
+            if (entry.isDirectory()) {
+                names.push(...await this.walk(path.join(dir, entry.name), name + '/'));
+            } else if (entry.isFile()) {
+                names.push(name);
+            }
+        }
+        return names.sort();
+    }
+
+    // Adds to the end of the blob, creating it on first use; earlier content is never rewritten
+    async append(name, data, { contentType } = {}) {
+        const filePath = this.resolve(this.dataPath, name);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.appendFile(filePath, data);
+        if (!(await this.readProperties(name)).contentType) {
+            await this.writeProperties(name, { contentType: contentType || 'application/octet-stream', metadata: {} });
+        }
+    }
+
+    // Blocks can only be sent through the API (see resumableUploads), so there is no direct URL
+    async getUploadUrl() {
+        return null;
+    }
+
+    async stageBlock(name, index, data) {
+        const blockDir = this.resolve(this.blocksPath, name);
+        await fs.promises.mkdir(blockDir, { recursive: true });
+        await fs.promises.writeFile(path.join(blockDir, blockFileName(index)), data);
+    }
+
+    // Staged (not yet committed) blocks as [{ index, size }] sorted by index
+    async listBlocks(name) {
+        const blockDir = this.resolve(this.blocksPath, name);
+        let entries;
+        try {
+            entries = await fs.promises.readdir(blockDir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        const blocks = [];
+        for (const entry of entries) {
+            if (!entry.isFile() || !/^\d+$/.test(entry.name)) continue;
+            const stats = await fs.promises.stat(path.join(blockDir, entry.name));
+            blocks.push({ index: Number(entry.name), size: stats.size });
+        }
+        return blocks.sort((a, b) => a.index - b.index);
+    }
+
+    // Joins blocks 0..count-1 into the blob and drops the staged blocks
+    async commitBlocks(name, count, { contentType, metadata } = {}) {
+        const blockDir = this.resolve(this.blocksPath, name);
+        const filePath = this.resolve(this.dataPath, name);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const handle = await fs.promises.open(filePath, 'w');
+        let size = 0;
+        try {
+            for (let index = 0; index < count; index++) {
+                const block = await fs.promises.readFile(path.join(blockDir, blockFileName(index)));
+                await handle.write(block);
+                size += block.length;
+            }
+        } finally {
+            await handle.close();
+        }
+        await this.writeProperties(name, {
+            contentType: contentType || 'application/octet-stream',
+            metadata: metadata || {}
+        });
+        await fs.promises.rm(blockDir, { recursive: true, force: true });
+        return { name, size, url: pathToFileURL(filePath).href };
+    }
+
+    async discardBlocks(name) {
+        await fs.promises.rm(this.resolve(this.blocksPath, name), { recursive: true, force: true });
+    }
+
+    async delete(name) {
+        try {
+            await fs.promises.unlink(this.resolve(this.dataPath, name));
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+        await fs.promises.rm(this.resolve(this.metadataPath, name) + '.json', { force: true });
+        return true;
+    }
+}
+
+function blockFileName(index) {
+    return String(index).padStart(6, '0');
+}
+
+module.exports = {
+    LocalFileStorageProvider
+};
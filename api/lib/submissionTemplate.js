@@ -0,0 +1,178 @@
+const ExcelJS = require('exceljs');
+const { TEMPLATE_META_SHEET, TEMPLATE_VERSION } = require('./excelParser');
+const { loadTaxonomy } = require('./taxonomy');
+
+const DATA_SHEET = 'Data';
+const HEADER_ROW = 1;
+
+// Data sheet columns: [data point field, header, width]
+const COLUMNS = [
+    ['metric', 'Metric', 34],
+    ['value', 'Value', 14],
+    ['unit', 'Unit', 10],
+    ['period', 'Period', 12],
+    ['businessUnit', 'Business Unit', 24],
+    ['location', 'Location', 24]
+];
+
+// Largest number of pre-filled rows (metrics × periods × business units × locations)
+const MAX_TEMPLATE_ROWS = 1000;
+
+// Unlocked rows after the pre-filled ones for values the selection did not foresee
+const EXTRA_ROWS = 50;
+
+class TemplateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TemplateError';
+    }
+}
+
+function letter(field) {
+    return String.fromCharCode(65 + COLUMNS.findIndex(([name]) => name === field));
+}
+
+// Units a metric can be entered in, limited to the chosen units when any were chosen
+function unitsFor(metric, chosenUnits) {
+    const allowed = metric.units.filter(unit => chosenUnits.length === 0 || chosenUnits.includes(unit));
+    return allowed.length > 0 ? allowed : metric.units;
+}
+
+// Dropdown of `values`; null when the list is longer than the 255 characters Excel allows
+function listValidation(values, error) {
+    const list = values.map(value => String(value).replace(/[",]/g, ' ')).join(',');
+    if (list.length > 255) return null;
+    return {
+        type: 'list',
+        allowBlank: true,
+        formulae: [`"${list}"`],
+        showErrorMessage: true,
+        errorTitle: 'Not in the list',
+        error
+    };
+}
+
+/**
+ * Builds the submission template for normalized, taxonomy-checked metadata
+ * (see metadataSchema): a Data sheet with one row per metric, period,
+ * business unit and location, unit dropdowns and only the Value and Unit
+ * cells unlocked, an Instructions sheet, and a very hidden `_meta` sheet that
+ * excelParser reads back to extract the values without guessing the layout.
+ *
+ * Throws TemplateError when the selection would produce too many rows.
+ * Resolves to a Buffer with the .xlsx file.
+ */
+async function buildTemplate(metadata, { generatedBy = null, taxonomy = loadTaxonomy(), now = new Date() } = {}) {
+    const metrics = metadata.esg_metric.map(name => taxonomy.metrics.find(metric => metric.name === name)).filter(Boolean);
+    const businessUnits = metadata.business_unit.length > 0 ? metadata.business_unit : [''];
+    const locations = metadata.location.length > 0 ? metadata.location : [''];
+    const rowCount = metrics.length * metadata.time_period.length * businessUnits.length * locations.length;
+    if (rowCount > MAX_TEMPLATE_ROWS) {
+        throw new TemplateError(`This selection needs ${rowCount} rows; choose fewer metrics, periods, business units or locations (at most ${MAX_TEMPLATE_ROWS} rows)`);
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = generatedBy || 'ESG Quick Upload';
+    workbook.created = now;
+
+    const sheet = workbook.addWorksheet(DATA_SHEET, { views: [{ state: 'frozen', ySplit: HEADER_ROW }] });
+    sheet.columns = COLUMNS.map(([key, header, width]) => ({ key, header, width }));
+    const header = sheet.getRow(HEADER_ROW);
+    header.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    header.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1E293B' } };
+
+    const editable = cell => {
+        cell.protection = { locked: false };
+        cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFEF9C3' } };
+    };
+    const valueValidation = {
+        type: 'decimal',
+        operator: 'greaterThanOrEqual',
+        formulae: [-1e15],
+        allowBlank: true,
+        showErrorMessage: true,
+        errorTitle: 'Not a number',
+        error: 'Enter the value as a number, without the unit'
+    };
+    const unitValidation = units => listValidation(units, `Choose one of: ${units.join(', ')}`);
+    const setValidation = (cell, validation) => {
+        if (validation) cell.dataValidation = validation;
+    };
+
+    for (const metric of metrics) {
+        const units = unitsFor(metric, metadata.unit);
+        const defaultUnit = units.includes(metric.canonicalUnit) ? metric.canonicalUnit : units[0];
+        for (const period of metadata.time_period) {
+            for (const businessUnit of businessUnits) {
+                for (const location of locations) {
+                    const row = sheet.addRow({ metric: metric.name, unit: defaultUnit, period, businessUnit, location });
+                    editable(row.getCell('value'));
+                    editable(row.getCell('unit'));
+                    setValidation(row.getCell('value'), valueValidation);
+                    setValidation(row.getCell('unit'), unitValidation(units));
+                }
+            }
+        }
+    }
+
+    // Free rows: every cell editable, metric, unit and period picked from the selection
+    const allUnits = [...new Set(metrics.flatMap(metric => unitsFor(metric, metadata.unit)))];
+    const metricValidation = listValidation(metrics.map(metric => metric.name), 'Choose one of the metrics of this template');
+    const periodValidation = listValidation(metadata.time_period, 'Choose one of the periods of this template');
+    for (let i = 0; i < EXTRA_ROWS; i++) {
+        const row = sheet.addRow({});
+        for (const [key] of COLUMNS) editable(row.getCell(key));
+        setValidation(row.getCell('metric'), metricValidation);
+        setValidation(row.getCell('value'), valueValidation);
+        setValidation(row.getCell('unit'), unitValidation(allUnits));
+        setValidation(row.getCell('period'), periodValidation);
+    }
+
+    // Labels and headers stay locked; values, units and the free rows can be edited
+    await sheet.protect('', {
+        selectLockedCells: true,
+        selectUnlockedCells: true,
+        formatColumns: true,
+        formatRows: true
+    });
+
+    const instructions = workbook.addWorksheet('Instructions');
+    instructions.getColumn(1).width = 100;
+    [
+        `ESG submission template for ${metadata.company}`,
+        '',
+        `1. Enter each value on the ${DATA_SHEET} sheet as a plain number in the Value column.`,
+        '2. Pick the unit from the dropdown if it differs from the one filled in.',
+        '3. Leave rows you do not report blank; they are skipped. Use the free rows at the bottom for extra business units or locations.',
+        '4. Upload the file on the Quick Upload page with the same company selected.',
+        '',
+        `Periods: ${metadata.time_period.join(', ')}`,
+        `Metrics: ${metrics.map(metric => metric.name).join(', ')}`,
+        `Generated ${now.toISOString()}${generatedBy ? ` by ${generatedBy}` : ''} (taxonomy ${taxonomy.version})`
+    ].forEach(line => instructions.addRow([line]));
+    instructions.getRow(1).font = { bold: true, size: 14 };
+
+    // Read back by excelParser: one key per row, values as JSON
+    const meta = workbook.addWorksheet(TEMPLATE_META_SHEET, { state: 'veryHidden' });
+    const entries = {
+        templateVersion: TEMPLATE_VERSION,
+        generatedAt: now.toISOString(),
+        generatedBy,
+        taxonomyVersion: taxonomy.version,
+        dataSheet: DATA_SHEET,
+        headerRow: HEADER_ROW,
+        columns: Object.fromEntries(COLUMNS.map(([field]) => [field, letter(field)])),
+        metadata
+    };
+    for (const [key, value] of Object.entries(entries)) {
+        meta.addRow([key, JSON.stringify(value)]);
+    }
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+    MAX_TEMPLATE_ROWS,
+    TemplateError,
+    buildTemplate
+};
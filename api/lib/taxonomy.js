@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const { getSettingValue } = require('./config');
+
+const DEFAULT_TAXONOMY_PATH = path.join(__dirname, '..', 'config', 'taxonomy.json');
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'];
+
+let cached = null;
+
+/**
+ * Loads the versioned ESG taxonomy (topics, metrics with their topic and
+ * allowed units, units and rolling period settings). The file defaults to
+ * api/config/taxonomy.json and can be replaced with the TAXONOMY_PATH setting.
+ */
+function loadTaxonomy() {
+    if (!cached) {
+        const taxonomyPath = getSettingValue('TAXONOMY_PATH', DEFAULT_TAXONOMY_PATH);
+        cached = JSON.parse(fs.readFileSync(taxonomyPath, 'utf8'));
+    }
+    return cached;
+}
+
+/**
+ * Parses a reporting period written as an ISO-style code ("2024", "2024-Q1",
+ * "2024-03") or as a label ("Q1 2024", "March 2024", "Mar 2024"). Full dates
+ * ("2024-03-15") count as their month.
+ * Returns { type, year, quarter?, month? } or null when the text is not a period.
+ */
+function parsePeriod(text) {
+    const value = String(text).trim();
+    let match = /^(\d{4})$/.exec(value);
+    if (match) return { type: 'year', year: Number(match[1]) };
+
+    match = /^(\d{4})-Q([1-4])$/i.exec(value);
+    if (match) return { type: 'quarter', year: Number(match[1]), quarter: Number(match[2]) };
+
+    match = /^Q([1-4])\s+(\d{4})$/i.exec(value);
+    if (match) return { type: 'quarter', year: Number(match[2]), quarter: Number(match[1]) };
+
+    match = /^(\d{4})-(\d{2})(?:-\d{2})?$/.exec(value);
+    if (match && Number(match[2]) >= 1 && Number(match[2]) <= 12) {
+        return { type: 'month', year: Number(match[1]), month: Number(match[2]) };
+    }
+
+    match = /^([A-Za-z]+)\s+(\d{4})$/.exec(value);
+    if (match) {
+        const name = match[1].toLowerCase();
+        const index = MONTH_NAMES.findIndex(month =>
+            month.toLowerCase() === name || (name.length === 3 && month.toLowerCase().startsWith(name)));
+        if (index !== -1) return { type: 'month', year: Number(match[2]), month: index + 1 };
+    }
+    return null;
+}
+
+// "2024", "2024-Q1" or "2024-03"
+function formatPeriodCode(period) {
+    if (period.type === 'quarter') return `${period.year}-Q${period.quarter}`;
+    if (period.type === 'month') return `${period.year}-${String(period.month).padStart(2, '0')}`;
+    return String(period.year);
+}
+
+// "2024", "Q1 2024" or "March 2024"
+function formatPeriodLabel(period) {
+    if (period.type === 'quarter') return `Q${period.quarter} ${period.year}`;
+    if (period.type === 'month') return `${MONTH_NAMES[period.month - 1]} ${period.year}`;
+    return String(period.year);
+}
+
+// True when `inner` lies within `outer` (a year holds its quarters and months, a quarter its months)
+function periodContains(outer, inner) {
+    if (outer.year !== inner.year) return false;
+    if (outer.type === 'year') return true;
+    if (outer.type === 'quarter') {
+        if (inner.type === 'quarter') return inner.quarter === outer.quarter;
+        return inner.type === 'month' && Math.ceil(inner.month / 3) === outer.quarter;
+    }
+    return inner.type === 'month' && inner.month === outer.month;
+}
+
+// First and last month of a period as month numbers counted from year 0, for range comparisons
+function periodBounds(period) {
+    const base = period.year * 12;
+    if (period.type === 'year') return { start: base, end: base + 11 };
+    if (period.type === 'quarter') return { start: base + (period.quarter - 1) * 3, end: base + period.quarter * 3 - 1 };
+    return { start: base + period.month - 1, end: base + period.month - 1 };
+}
+
+// Normalizes any accepted period spelling to its code, or null when unparseable
+function toPeriodCode(text) {
+    const period = parsePeriod(text);
+    return period ? formatPeriodCode(period) : null;
+}
+
+/**
+ * Builds the quick-pick periods relative to `now`: the current and previous
+ * years, the latest quarters and the latest months, most recent first.
+ * Each entry's `value` is the period code and `label` its display text.
+ */
+function generatePeriods(settings = {}, now = new Date()) {
+    const { years = 2, quarters = 4, months = 3 } = settings;
+    const year = now.getUTCFullYear();
+    const monthIndex = now.getUTCMonth();
+    const periods = [];
+
+    const add = (period, icon, label = formatPeriodLabel(period)) => {
+        periods.push({ value: formatPeriodCode(period), label, type: period.type, icon });
+    };
+
+    for (let i = 0; i < years; i++) {
+        add({ type: 'year', year: year - i }, '📅');
+    }
+
+    let quarterYear = year;
+    let quarter = Math.floor(monthIndex / 3) + 1;
+    for (let i = 0; i < quarters; i++) {
+        add({ type: 'quarter', year: quarterYear, quarter }, '📊');
+        quarter--;
+        if (quarter === 0) {
+            quarter = 4;
+            quarterYear--;
+        }
+    }
+
+    for (let i = 0; i < months; i++) {
+        const date = new Date(Date.UTC(year, monthIndex - i, 1));
+        const period = { type: 'month', year: date.getUTCFullYear(), month: date.getUTCMonth() + 1 };
+        add(period, '🗓️', `${MONTH_NAMES[period.month - 1].slice(0, 3)} ${period.year}`);
+    }
+
+    return periods;
+}
+
+// The taxonomy as served to the Quick Upload page, with periods generated for today
+function getPublicTaxonomy(now = new Date()) {
+    const taxonomy = loadTaxonomy();
+    return {
+        version: taxonomy.version,
+        topics: taxonomy.topics,
+        metrics: taxonomy.metrics,
+        units: taxonomy.units,
+        periods: generatePeriods(taxonomy.periods, now)
+    };
+}
+
+function findByName(list, name) {
+    const wanted = name.toLowerCase();
+    return list.find(item => item.name.toLowerCase() === wanted);
+}
+
+// The taxonomy's spelling of a topic, metric or unit name, or the name itself if unknown
+function canonicalName(kind, name, taxonomy = loadTaxonomy()) {
+    const item = findByName(taxonomy[kind], name);
+    return item ? item.name : name;
+}
+
+/**
+ * Checks normalized metadata (see metadataSchema) against the taxonomy. Every
+ * topic, metric and unit must be known, each metric must belong to one of the
+ * selected topics, and each unit must be allowed by at least one selected
+ * metric (and each metric must have at least one of its units selected).
+ * Returns a list of { field, value, message }; empty when the selection is valid.
+ */
+function validateSelection(metadata, taxonomy = loadTaxonomy()) {
+    const errors = [];
+    const error = (field, value, message) => errors.push({ field, value, message });
+
+    const topics = [];
+    for (const value of metadata.esg_topic) {
+        const topic = findByName(taxonomy.topics, value);
+        if (topic) topics.push(topic);
+        else error('esg_topic', value, `Unknown ESG topic "${value}"`);
+    }
+
+    const metrics = [];
+    for (const value of metadata.esg_metric) {
+        const metric = findByName(taxonomy.metrics, value);
+        if (!metric) {
+            error('esg_metric', value, `Unknown ESG metric "${value}"`);
+            continue;
+        }
+        metrics.push(metric);
+        if (topics.length > 0 && !findByName(topics, metric.topic)) {
+            error('esg_metric', metric.name, `"${metric.name}" belongs to the ${metric.topic} topic, which is not selected`);
+        }
+    }
+
+    const units = [];
+    for (const value of metadata.unit) {
+        const unit = findByName(taxonomy.units, value);
+        if (unit) units.push(unit);
+        else error('unit', value, `Unknown unit "${value}"`);
+    }
+
+    if (metrics.length > 0) {
+        for (const unit of units) {
+            if (!metrics.some(metric => metric.units.includes(unit.name))) {
+                error('unit', unit.name, `Unit "${unit.name}" is not valid for ${metrics.map(m => `"${m.name}"`).join(', ')}`);
+            }
+        }
+        if (units.length > 0) {
+            for (const metric of metrics) {
+                if (!units.some(unit => metric.units.includes(unit.name))) {
+                    error('esg_metric', metric.name, `"${metric.name}" must be reported in one of: ${metric.units.join(', ')}`);
+                }
+            }
+        }
+    }
+
+    return errors;
+}
+
+module.exports = {
+    loadTaxonomy,
+    getPublicTaxonomy,
+    generatePeriods,
+    parsePeriod,
+    formatPeriodCode,
+    formatPeriodLabel,
+    toPeriodCode,
+    periodContains,
+    periodBounds,
+    canonicalName,
+    validateSelection
+};
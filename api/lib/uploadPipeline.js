@@ -0,0 +1,370 @@
+const crypto = require('crypto');
+const { parseWorkbook, WorkbookParseError } = require('./excelParser');
+const { FileInspectionError, inspectUpload } = require('./fileInspection');
+const { slugify, extractionName, manifestName, validationName, isSidecar, companyPrefix, buildBlobName, downloadUrl, toFileSummary } = require('./uploads');
+const { SCHEMA_VERSION, normalizeMetadata, encodeBlobMetadata, decodeBlobMetadata } = require('./metadataSchema');
+const { loadTaxonomy, validateSelection } = require('./taxonomy');
+const { requireCompany } = require('./auth');
+const { summarizeMetrics, validateExtraction } = require('./validationRules');
+const { normalizeExtraction } = require('./conversion');
+
+// How many of the company's recent uploads are compared against for sharp changes
+const MAX_PREVIOUS_UPLOADS = 10;
+
+// Content types stored on the blob for each accepted extension
+const CONTENT_TYPES = {
+    'xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Metadata lists that name a single item apply to every extracted row
+function singleValue(values) {
+    return values && values.length === 1 ? values[0] : undefined;
+}
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// The company's current (not superseded) uploads, newest first
+async function listCompanyUploads(storage, company) {
+    const uploads = [];
+    for await (const blob of storage.list({ prefix: companyPrefix(company) })) {
+        if (isSidecar(blob.name)) continue;
+        const summary = toFileSummary(blob);
+        if (!summary.supersededBy) uploads.push(summary);
+    }
+    return uploads.sort((a, b) => String(b.uploadedAt).localeCompare(String(a.uploadedAt)));
+}
+
+/**
+ * Average value per metric/unit from the company's most recent uploads; for
+ * each metric the newest upload that reports it wins.
+ */
+async function previousMetrics(storage, uploads) {
+    const previous = new Map();
+    for (const upload of uploads.slice(0, MAX_PREVIOUS_UPLOADS)) {
+        const sidecar = await storage.get(extractionName(upload.name));
+        if (!sidecar) continue;
+        const { dataPoints = [] } = JSON.parse(sidecar.data.toString('utf8'));
+        for (const [key, summary] of summarizeMetrics(dataPoints)) {
+            if (!previous.has(key)) {
+                previous.set(key, { ...summary, fileName: upload.originalFileName, uploadedAt: upload.uploadedAt });
+            }
+        }
+    }
+    return previous;
+}
+
+// Marks an earlier upload as replaced; the blob and its sidecars are kept
+async function markSuperseded(storage, name, supersededBy) {
+    const blob = await storage.getMetadata(name);
+    if (!blob) return;
+    const { metadata, properties } = decodeBlobMetadata(blob.metadata);
+    await storage.setMetadata(name, encodeBlobMetadata(metadata, {
+        ...properties,
+        supersededBy,
+        supersededAt: new Date().toISOString()
+    }));
+}
+
+/**
+ * Makes `name` the current version again after the upload that replaced it
+ * (`deletedName`) was deleted.
+ */
+async function restorePreviousVersion(storage, name, deletedName) {
+    const blob = await storage.getMetadata(name);
+    if (!blob) return false;
+    const { metadata, properties } = decodeBlobMetadata(blob.metadata);
+    if (properties.supersededBy !== deletedName) return false;
+    delete properties.supersededBy;
+    delete properties.supersededAt;
+    await storage.setMetadata(name, encodeBlobMetadata(metadata, properties));
+    return true;
+}
+
+function rejected(status, originalFileName, error, extra = {}) {
+    return {
+        status,
+        result: {
+            success: false,
+            originalFileName,
+            error,
+            ...extra
+        }
+    };
+}
+
+/**
+ * Normalizes upload metadata and checks it against the schema, the user's
+ * companies (AuthError when not assigned) and the ESG taxonomy, for the HTTP
+ * upload, the resumable finalize step and the MCP submit_workbook tool.
+ * Returns `{ metadata, taxonomy }`, or `{ rejection }` with the error and
+ * the fields or validation errors behind it.
+ */
+function checkMetadata(user, input, log = () => {}) {
+    // Users assigned to a single company don't have to type it
+    const [onlyCompany] = user.companies;
+    if (input && typeof input === 'object' && !input.company && user.companies.length === 1 && onlyCompany !== '*') {
+        input = { ...input, company: onlyCompany };
+    }
+
+    // Normalize and validate required fields
+    const taxonomy = loadTaxonomy();
+    const { metadata, missingFields, errors: schemaErrors } = normalizeMetadata(input, taxonomy);
+
+    if (missingFields.length > 0) {
+        log('Error: Missing required fields:', missingFields);
+        return {
+            rejection: {
+                error: 'Missing required fields',
+                missingFields: missingFields,
+                ...(schemaErrors.length > 0 && { validationErrors: schemaErrors })
+            }
+        };
+    }
+
+    if (schemaErrors.length > 0) {
+        log('Error: Invalid metadata:', schemaErrors.map(e => e.message));
+        return {
+            rejection: {
+                error: 'Invalid metadata',
+                validationErrors: schemaErrors
+            }
+        };
+    }
+
+    requireCompany(user, metadata.company);
+
+    // Validate topics, metrics and units against the ESG taxonomy
+    const validationErrors = validateSelection(metadata, taxonomy);
+    if (validationErrors.length > 0) {
+        log('Error: Metadata does not match taxonomy:', validationErrors.map(e => e.message));
+        return {
+            rejection: {
+                error: 'Metadata does not match the ESG taxonomy',
+                taxonomyVersion: taxonomy.version,
+                validationErrors
+            }
+        };
+    }
+
+    return { metadata, taxonomy };
+}
+
+/**
+ * The checks that need nothing but the file and its metadata: fileInspection,
+ * parsing, the template's company and unit normalization. Resolves to
+ * `{ extraction }`, or `{ rejection }` holding the `{ status, result }`
+ * processWorkbook responds with. The bulk upload CLI runs these before
+ * sending anything.
+ */
+async function readWorkbook(file, metadata, log = () => {}) {
+    // Extension, size, content sniffing, zip bomb limits and macros, before the parser sees the file
+    try {
+        inspectUpload(file);
+    } catch (inspectionError) {
+        if (!(inspectionError instanceof FileInspectionError)) throw inspectionError;
+        log('Error: File rejected:', inspectionError.code, inspectionError.message);
+        return {
+            rejection: rejected(inspectionError.status, file.filename, inspectionError.message, {
+                code: inspectionError.code
+            })
+        };
+    }
+
+    // Read the workbook and extract ESG data points before storing anything
+    let extraction;
+    try {
+        extraction = await parseWorkbook(file.data, {
+            unit: singleValue(metadata.unit),
+            period: singleValue(metadata.time_period),
+            businessUnit: singleValue(metadata.business_unit),
+            location: singleValue(metadata.location)
+        });
+        log('Workbook parsed:', extraction.sheetCount, 'sheets,', extraction.dataPointCount, 'data points');
+    } catch (parseError) {
+        if (!(parseError instanceof WorkbookParseError)) throw parseError;
+        log('Error: Workbook rejected:', parseError.code, parseError.message);
+        return {
+            rejection: rejected(422, file.filename, 'Uploaded file is not a valid Excel workbook', {
+                code: parseError.code,
+                details: parseError.message
+            })
+        };
+    }
+
+    // A filled-in template belongs to the company it was made for
+    const templateCompany = extraction.template?.metadata?.company;
+    if (templateCompany && slugify(templateCompany) !== slugify(metadata.company)) {
+        log('Error: Template made for', templateCompany, 'uploaded for', metadata.company);
+        return {
+            rejection: rejected(422, file.filename, 'This template was made for another company', {
+                code: 'TEMPLATE_MISMATCH',
+                details: `The workbook is a template for "${templateCompany}" but was uploaded for "${metadata.company}".`
+            })
+        };
+    }
+
+    // Canonical units and CO2e next to the values as reported
+    return { extraction: normalizeExtraction(extraction) };
+}
+
+/**
+ * Validates, parses, runs the data quality rules on and stores one uploaded
+ * workbook plus its extraction, manifest and validation report sidecars.
+ * Workbooks whose report has errors are not stored (422, VALIDATION_FAILED),
+ * nor are files that fail fileInspection (size, content, zip bombs, macros).
+ *
+ * `file` is `{ filename, data }` and `metadata` the normalized, validated
+ * upload metadata (see metadataSchema); `taxonomyVersion` records which
+ * taxonomy it was checked against. A workbook whose content matches a
+ * current upload of the same company is rejected as a duplicate (409) unless
+ * `replace` is set, in which case the new upload supersedes the previous one
+ * and both are kept.
+ * `uploadedBy` is the signed-in user (see auth.getUser) recorded with the upload
+ * and `status` its initial review status: 'submitted', or 'draft' to submit later.
+ *
+ * Resolves to `{ status, result }`: the HTTP status this file alone would
+ * produce and the per-file result returned to the client.
+ */
+async function processWorkbook({ storage, file, metadata, taxonomyVersion, replace = false, uploadedBy = null, status = 'submitted', log = () => {} }) {
+    log('File found:', file.filename, 'Size:', file.data?.length || 0, 'bytes');
+
+    const read = await readWorkbook(file, metadata, log);
+    if (read.rejection) return read.rejection;
+    const { extraction } = read;
+
+    // Identical content already uploaded for this company?
+    const contentHash = sha256(file.data);
+    const companyUploads = await listCompanyUploads(storage, metadata.company);
+    const duplicate = companyUploads.find(upload => upload.contentHash === contentHash);
+    if (duplicate && !replace) {
+        log('Duplicate of', duplicate.name, '- not stored');
+        return rejected(409, file.filename, 'This workbook has already been uploaded', {
+            code: 'DUPLICATE_FILE',
+            details: `Identical to ${duplicate.originalFileName} uploaded ${duplicate.uploadedAt || 'earlier'}. Upload again with replace to store it as a new version.`,
+            duplicateOf: {
+                name: duplicate.name,
+                originalFileName: duplicate.originalFileName,
+                uploadedAt: duplicate.uploadedAt,
+                downloadUrl: duplicate.downloadUrl
+            }
+        });
+    }
+
+    // Data quality checks: errors hold the workbook back, warnings are stored with it
+    const validation = validateExtraction(extraction, metadata, {
+        previous: await previousMetrics(storage, companyUploads)
+    });
+    if (validation.status === 'failed') {
+        log('Validation failed:', validation.errorCount, 'errors,', validation.warningCount, 'warnings');
+        return rejected(422, file.filename, 'Workbook failed data quality checks', {
+            code: 'VALIDATION_FAILED',
+            details: `${validation.errorCount} error(s) and ${validation.warningCount} warning(s). Fix the errors and upload again.`,
+            validation
+        });
+    }
+
+    const fileExtension = file.filename.split('.').pop();
+    const uniqueFilename = buildBlobName(metadata, fileExtension);
+    const uploadedAt = new Date().toISOString();
+
+    await storage.put(uniqueFilename, file.data, {
+        contentType: CONTENT_TYPES[fileExtension.toLowerCase()] || 'application/octet-stream',
+        metadata: encodeBlobMetadata(metadata, {
+            originalFilename: file.filename,
+            uploadedAt,
+            taxonomyVersion,
+            contentHash,
+            replaces: duplicate?.name,
+            uploadedBy: uploadedBy?.userDetails,
+            uploadedById: uploadedBy?.userId,
+            validationStatus: validation.status,
+            emissionFactorsVersion: extraction.emissionFactorsVersion,
+            status
+        })
+    });
+
+    log('File uploaded successfully:', uniqueFilename);
+
+    if (duplicate) {
+        await markSuperseded(storage, duplicate.name, uniqueFilename);
+        log('Superseded previous version:', duplicate.name);
+    }
+
+    // Blob metadata headers are size-limited, so the manifest keeps the exact metadata as JSON
+    const manifestFilename = manifestName(uniqueFilename);
+    await storage.put(manifestFilename, JSON.stringify({
+        schemaVersion: SCHEMA_VERSION,
+        fileName: uniqueFilename,
+        originalFileName: file.filename,
+        uploadedAt,
+        taxonomyVersion: taxonomyVersion || null,
+        emissionFactorsVersion: extraction.emissionFactorsVersion,
+        contentHash,
+        replaces: duplicate?.name || null,
+        uploadedBy: uploadedBy && {
+            userId: uploadedBy.userId,
+            userDetails: uploadedBy.userDetails,
+            identityProvider: uploadedBy.identityProvider
+        },
+        statusHistory: [{ status, at: uploadedAt, by: uploadedBy?.userDetails || null, action: 'upload', comment: null }],
+        metadata
+    }, null, 2), {
+        contentType: 'application/json',
+        metadata: encodeBlobMetadata({}, { sidecarFor: uniqueFilename })
+    });
+
+    // Store the extracted data points as a JSON sidecar next to the workbook
+    const extractionFilename = extractionName(uniqueFilename);
+    const extractionJson = JSON.stringify({
+        fileName: uniqueFilename,
+        originalFileName: file.filename,
+        extractedAt: new Date().toISOString(),
+        ...extraction
+    }, null, 2);
+    await storage.put(extractionFilename, extractionJson, {
+        contentType: 'application/json',
+        metadata: encodeBlobMetadata({}, { sidecarFor: uniqueFilename })
+    });
+
+    log('Extraction saved:', extractionFilename);
+
+    // The validation report travels with the file so reviewers see the same warnings
+    const validationFilename = validationName(uniqueFilename);
+    await storage.put(validationFilename, JSON.stringify({
+        fileName: uniqueFilename,
+        originalFileName: file.filename,
+        validatedAt: new Date().toISOString(),
+        ...validation
+    }, null, 2), {
+        contentType: 'application/json',
+        metadata: encodeBlobMetadata({}, { sidecarFor: uniqueFilename })
+    });
+
+    return {
+        status: 200,
+        result: {
+            success: true,
+            fileName: uniqueFilename,
+            originalFileName: file.filename,
+            url: downloadUrl(uniqueFilename),
+            uploadedAt,
+            contentHash,
+            status,
+            ...(duplicate && { replaces: duplicate.name }),
+            extractionFileName: extractionFilename,
+            manifestFileName: manifestFilename,
+            validationFileName: validationFilename,
+            validation,
+            extraction
+        }
+    };
+}
+
+module.exports = {
+    checkMetadata,
+    readWorkbook,
+    processWorkbook,
+    restorePreviousVersion
+};
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const { METADATA_FIELDS, decodeBlobMetadata } = require('./metadataSchema');
+const { toPeriodCode } = require('./taxonomy');
+
+// Review status of uploads stored before the review workflow existed (see workflow.js)
+const DEFAULT_STATUS = 'submitted';
+
+// JSON sidecars are stored next to the workbook they describe
+const EXTRACTION_SUFFIX = '.extraction.json';
+const MANIFEST_SUFFIX = '.manifest.json';
+const VALIDATION_SUFFIX = '.validation.json';
+const SIDECAR_SUFFIXES = [EXTRACTION_SUFFIX, MANIFEST_SUFFIX, VALIDATION_SUFFIX];
+
+function extractionName(blobName) {
+    return `${blobName}${EXTRACTION_SUFFIX}`;
+}
+
+function manifestName(blobName) {
+    return `${blobName}${MANIFEST_SUFFIX}`;
+}
+
+function validationName(blobName) {
+    return `${blobName}${VALIDATION_SUFFIX}`;
+}
+
+function isSidecar(blobName) {
+    return SIDECAR_SUFFIXES.some(suffix => blobName.endsWith(suffix));
+}
+
+function sidecarNames(blobName) {
+    return SIDECAR_SUFFIXES.map(suffix => `${blobName}${suffix}`);
+}
+
+// Lower-case ASCII path segment: accents folded, anything else collapsed to "-"
+function slugify(text, fallback = 'unknown') {
+    const slug = String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60)
+        .replace(/-+$/, '');
+    return slug || fallback;
+}
+
+// Blob name prefix holding every upload of one company
+function companyPrefix(company) {
+    return `${slugify(company, 'company')}/`;
+}
+
+/**
+ * Builds a blob name `<company>/<period>/<uuid>.<ext>` from upload metadata.
+ * Segments are slugs so user input can never add path levels; uploads that
+ * cover several periods go under `multi-period`. The UUID keeps names unique
+ * however many uploads arrive at once.
+ */
+function buildBlobName(metadata, extension) {
+    const periods = metadata.time_period || [];
+    const period = periods.length === 1 ? slugify(periods[0], 'period') : 'multi-period';
+    const ext = String(extension).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return `${companyPrefix(metadata.company)}${period}/${crypto.randomUUID()}.${ext}`;
+}
+
+function splitValues(value) {
+    return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Periods compare by code so "Q1 2024" finds uploads stored as "2024-Q1"
+function filterKey(field, value) {
+    const key = field === 'time_period' ? toPeriodCode(value) || value : value;
+    return key.toLowerCase();
+}
+
+/**
+ * True when decoded upload metadata satisfies every filter. A filter matches
+ * case-insensitively when the whole text, or any of its comma-separated
+ * items, equals one of the field's values (so "Ops, North" finds that unit).
+ */
+function matchesFilters(metadata, filters) {
+    return Object.entries(filters).every(([field, wanted]) => {
+        const values = [].concat(metadata[field] || []).map(value => filterKey(field, value));
+        const candidates = [wanted.trim(), ...splitValues(wanted)];
+        return candidates.some(item => values.includes(filterKey(field, item)));
+    });
+}
+
+// Containers are private: files are only served through the files API, which checks access
+function downloadUrl(blobName) {
+    return `/api/files/${blobName.split('/').map(encodeURIComponent).join('/')}?download=true`;
+}
+
+// Shape returned by the files API for one uploaded workbook
+function toFileSummary(blob) {
+    const { metadata, properties } = decodeBlobMetadata(blob.metadata);
+    return {
+        name: blob.name,
+        originalFileName: properties.originalFilename || blob.name,
+        size: blob.size,
+        contentType: blob.contentType,
+        uploadedAt: properties.uploadedAt || null,
+        uploadedBy: properties.uploadedBy || null,
+        uploadedById: properties.uploadedById || null,
+        contentHash: properties.contentHash || null,
+        replaces: properties.replaces || null,
+        supersededBy: properties.supersededBy || null,
+        validationStatus: properties.validationStatus || null,
+        emissionFactorsVersion: properties.emissionFactorsVersion || null,
+        status: properties.status || DEFAULT_STATUS,
+        statusChangedAt: properties.statusChangedAt || null,
+        statusChangedBy: properties.statusChangedBy || null,
+        statusComment: properties.statusComment || null,
+        lastModified: blob.lastModified,
+        metadata,
+        downloadUrl: downloadUrl(blob.name)
+    };
+}
+
+/**
+ * toFileSummary with the complete metadata lists: blobs marked
+ * `metadataTruncated` (see metadataSchema.encodeBlobMetadata) only carry part
+ * of them, so they are read from the upload's manifest.
+ */
+async function readFileSummary(storage, blob) {
+    const summary = toFileSummary(blob);
+    if (blob.metadata?.metadataTruncated !== 'true') return summary;
+    const manifest = await storage.get(manifestName(blob.name));
+    if (manifest) summary.metadata = JSON.parse(manifest.data.toString('utf8')).metadata;
+    return summary;
+}
+
+/**
+ * Summaries of the uploaded workbooks in name order that `canAccess` allows
+ * (called with the company) and that match `filters` (see matchesFilters)
+ * and review `statuses`; superseded versions only with `includeSuperseded`,
+ * and only those of the user id `uploadedById` when it is given.
+ * Starts after the blob name `after` and stops at `limit`. Resolves to
+ * `{ files, hasMore }`.
+ */
+async function listUploads(storage, canAccess, { filters = {}, statuses = [], includeSuperseded = false, uploadedById = null, after = null, limit = Infinity } = {}) {
+    const files = [];
+    for await (const blob of storage.list()) {
+        if (isSidecar(blob.name)) continue;
+        if (after !== null && blob.name <= after) continue;
+        const summary = await readFileSummary(storage, blob);
+        if (!canAccess(summary.metadata.company)) continue;
+        if (summary.supersededBy && !includeSuperseded) continue;
+        if (statuses.length > 0 && !statuses.includes(summary.status)) continue;
+        if (uploadedById !== null && summary.uploadedById !== uploadedById) continue;
+        if (!matchesFilters(summary.metadata, filters)) continue;
+        if (files.length === limit) return { files, hasMore: true };
+        files.push(summary);
+    }
+    return { files, hasMore: false };
+}
+
+module.exports = {
+    METADATA_FIELDS,
+    DEFAULT_STATUS,
+    slugify,
+    companyPrefix,
+    buildBlobName,
+    extractionName,
+    manifestName,
+    validationName,
+    isSidecar,
+    sidecarNames,
+    matchesFilters,
+    downloadUrl,
+    toFileSummary,
+    readFileSummary,
+    listUploads
+};
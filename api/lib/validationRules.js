@@ -0,0 +1,188 @@
+const { parsePeriod, periodContains, loadTaxonomy } = require('./taxonomy');
+const { numberSetting } = require('./config');
+const { findUnit } = require('./conversion');
+
+const RULES_VERSION = 1;
+
+// Relative change against the previous upload that raises a warning (0.5 = ±50%)
+const DEFAULT_CHANGE_THRESHOLD = 0.5;
+
+/*
+ * Each rule looks at one data point (see excelParser) and reports issues through
+ * `report(severity, message, cell)`. Errors hold the upload back; warnings are
+ * returned and stored but do not block it.
+ */
+const RULES = [
+    {
+        id: 'non-numeric-value',
+        check(point, context, report) {
+            if (point.value !== null) return;
+            if (point.rawValue === null || point.rawValue === undefined || String(point.rawValue).trim() === '') {
+                report('warning', `No value for "${point.metric}"`);
+            } else {
+                report('error', `Value "${point.rawValue}" for "${point.metric}" is not a number`);
+            }
+        }
+    },
+    {
+        id: 'negative-value',
+        check(point, context, report) {
+            const metric = context.metricFor(point);
+            if (point.value !== null && point.value < 0 && !metric?.allowNegative) {
+                report('error', `Negative value ${point.value} for "${point.metric}"`);
+            }
+        }
+    },
+    {
+        id: 'unit-mismatch',
+        check(point, context, report) {
+            if (!point.unit || context.declaredUnits.length === 0) return;
+            if (!context.declaredUnits.includes(unitKey(point.unit))) {
+                report('error', `Unit "${point.unit}" does not match the declared unit(s): ${context.metadata.unit.join(', ')}`,
+                    context.cellFor(point, 'unit'));
+            }
+        }
+    },
+    {
+        id: 'period-outside-declared',
+        check(point, context, report) {
+            if (!point.period || context.declaredPeriods.length === 0) return;
+            const period = parsePeriod(point.period);
+            if (!period) {
+                report('warning', `Period "${point.period}" is not recognised`, context.cellFor(point, 'period'));
+            } else if (!context.declaredPeriods.some(declared => periodContains(declared, period))) {
+                report('error', `Period "${point.period}" is outside the declared period(s): ${context.metadata.time_period.join(', ')}`,
+                    context.cellFor(point, 'period'));
+            }
+        }
+    }
+];
+
+// Units compare by their canonical name, so "m3" in a cell matches a declared "m³"
+function unitKey(unit) {
+    const known = findUnit(unit);
+    return (known ? known.name : String(unit).trim()).toLowerCase();
+}
+
+// Key that groups data points of one metric reported in one unit
+function metricKey(metric, unit) {
+    return `${String(metric).toLowerCase()}|${String(unit || '').toLowerCase()}`;
+}
+
+/**
+ * Average value per metric and unit, used to compare an upload with earlier ones.
+ * Normalized values (see conversion) are used where present, so "1 MWh" and
+ * "1000 kWh" compare as equal.
+ * Returns a Map of metricKey → { metric, unit, average, count }.
+ */
+function summarizeMetrics(dataPoints) {
+    const totals = new Map();
+    for (const point of dataPoints) {
+        const value = point.normalizedValue !== undefined ? point.normalizedValue : point.value;
+        const unit = point.normalizedUnit !== undefined ? point.normalizedUnit : point.unit;
+        if (value === null) continue;
+        const key = metricKey(point.metric, unit);
+        const entry = totals.get(key) || { metric: point.metric, unit, sum: 0, count: 0 };
+        entry.sum += value;
+        entry.count++;
+        totals.set(key, entry);
+    }
+    const summary = new Map();
+    for (const [key, { metric, unit, sum, count }] of totals) {
+        summary.set(key, { metric, unit, average: sum / count, count });
+    }
+    return summary;
+}
+
+/**
+ * Runs the data quality rules over a parsed workbook.
+ *
+ * `metadata` is the normalized upload metadata the data is checked against.
+ * `previous` maps metricKey to `{ average, fileName, uploadedAt }` from the
+ * company's earlier uploads; metrics whose average moved by more than the
+ * VALIDATION_CHANGE_THRESHOLD setting get a warning.
+ *
+ * Returns the validation report: { rulesVersion, status: 'passed' | 'warnings'
+ * | 'failed', errorCount, warningCount, issues } where each issue carries the
+ * rule, severity, message and the sheet/row/cell it refers to.
+ */
+function validateExtraction(extraction, metadata, { previous = new Map(), taxonomy = loadTaxonomy() } = {}) {
+    const columnsBySheet = new Map(extraction.sheets.map(sheet => [sheet.name, sheet.columns]));
+    const metrics = new Map(taxonomy.metrics.map(metric => [metric.name.toLowerCase(), metric]));
+
+    const context = {
+        metadata,
+        declaredUnits: metadata.unit.map(unitKey),
+        declaredPeriods: metadata.time_period.map(parsePeriod).filter(Boolean),
+        metricFor: point => metrics.get(point.metric.toLowerCase()),
+        // Reference to the point's `field` column on its row, falling back to the value cell
+        cellFor(point, field) {
+            const column = columnsBySheet.get(point.source.sheet)?.[field];
+            return column ? `${column}${point.source.row}` : point.source.cell;
+        }
+    };
+
+    const issues = [];
+    for (const point of extraction.dataPoints) {
+        for (const rule of RULES) {
+            rule.check(point, context, (severity, message, cell = point.source.cell) => {
+                issues.push({
+                    rule: rule.id,
+                    severity,
+                    message,
+                    metric: point.metric,
+                    sheet: point.source.sheet,
+                    row: point.source.row,
+                    cell
+                });
+            });
+        }
+    }
+
+    // Sharp changes against the same metric in the company's previous upload
+    const threshold = numberSetting('VALIDATION_CHANGE_THRESHOLD', DEFAULT_CHANGE_THRESHOLD);
+    const firstPoint = new Map();
+    for (const point of extraction.dataPoints) {
+        const key = metricKey(point.metric, point.normalizedUnit !== undefined ? point.normalizedUnit : point.unit);
+        if (point.value !== null && !firstPoint.has(key)) firstPoint.set(key, point);
+    }
+    for (const [key, current] of summarizeMetrics(extraction.dataPoints)) {
+        const earlier = previous.get(key);
+        if (!earlier || earlier.average === 0) continue;
+        const change = (current.average - earlier.average) / Math.abs(earlier.average);
+        if (Math.abs(change) <= threshold) continue;
+        const point = firstPoint.get(key);
+        issues.push({
+            rule: 'sharp-change',
+            severity: 'warning',
+            message: `"${current.metric}" averages ${round(current.average)}${current.unit ? ' ' + current.unit : ''}, ` +
+                `${change > 0 ? 'up' : 'down'} ${Math.round(Math.abs(change) * 100)}% from ${round(earlier.average)} in ${earlier.fileName}`,
+            metric: current.metric,
+            sheet: point.source.sheet,
+            row: point.source.row,
+            cell: point.source.cell,
+            previousUpload: earlier.fileName
+        });
+    }
+
+    const errorCount = issues.filter(issue => issue.severity === 'error').length;
+    const warningCount = issues.length - errorCount;
+    return {
+        rulesVersion: RULES_VERSION,
+        status: errorCount > 0 ? 'failed' : warningCount > 0 ? 'warnings' : 'passed',
+        errorCount,
+        warningCount,
+        issues
+    };
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+    RULES_VERSION,
+    metricKey,
+    summarizeMetrics,
+    validateExtraction
+};
@@ -0,0 +1,138 @@
+const { DEFAULT_STATUS, manifestName, toFileSummary } = require('./uploads');
+const { encodeBlobMetadata, decodeBlobMetadata } = require('./metadataSchema');
+const { AuthError, hasRole } = require('./auth');
+
+// Review states of an upload (see uploads.DEFAULT_STATUS for uploads from before the workflow)
+const STATUSES = ['draft', 'submitted', 'approved', 'rejected'];
+
+// Actions of POST /api/submissions/{action}/{name}: who may run them and from which state
+const TRANSITIONS = {
+    submit: { from: ['draft'], to: 'submitted', roles: ['uploader', 'admin'] },
+    approve: { from: ['submitted'], to: 'approved', roles: ['reviewer', 'admin'] },
+    reject: { from: ['submitted'], to: 'rejected', roles: ['reviewer', 'admin'], commentRequired: true },
+    resubmit: { from: ['rejected'], to: 'submitted', roles: ['uploader', 'admin'] }
+};
+
+const MAX_COMMENT_LENGTH = 2000;
+
+// Uploaders may delete their companies' uploads only before review or after a rejection; reviewed data is for admins
+const UPLOADER_DELETABLE = ['draft', 'rejected'];
+
+class WorkflowError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'WorkflowError';
+        this.status = status;
+    }
+}
+
+// Only approved, current uploads count toward reporting
+function isReportable(summary) {
+    return summary.status === 'approved' && !summary.supersededBy;
+}
+
+async function readManifest(storage, name) {
+    const manifest = await storage.get(manifestName(name));
+    return manifest ? { blob: manifest, json: JSON.parse(manifest.data.toString('utf8')) } : null;
+}
+
+/**
+ * Checks that `user` may run `action` on the upload `summary`, without
+ * changing anything. Throws WorkflowError for unknown actions (404), missing
+ * comments (400) and actions that do not apply to the current status (409),
+ * and AuthError when the user lacks the role or tries to approve their own
+ * upload. Returns { to, comment } with the new status and trimmed comment.
+ */
+function checkTransition(summary, action, user, comment) {
+    const transition = TRANSITIONS[action];
+    if (!transition) {
+        throw new WorkflowError(404, `Unknown action "${action}" (expected ${Object.keys(TRANSITIONS).join(', ')})`);
+    }
+    if (!hasRole(user, transition.roles)) {
+        throw new AuthError(403, `Only ${transition.roles.join(' or ')} users may ${action} uploads`);
+    }
+
+    const text = typeof comment === 'string' ? comment.trim() : '';
+    if (transition.commentRequired && !text) {
+        throw new WorkflowError(400, `A comment is required to ${action} an upload`);
+    }
+    if (text.length > MAX_COMMENT_LENGTH) {
+        throw new WorkflowError(400, `Comments must be at most ${MAX_COMMENT_LENGTH} characters`);
+    }
+    if (summary.supersededBy) {
+        throw new WorkflowError(409, 'This upload has been replaced by a newer version');
+    }
+    if (!transition.from.includes(summary.status)) {
+        throw new WorkflowError(409, `Cannot ${action} an upload that is ${summary.status}`);
+    }
+    if (action === 'approve' && summary.uploadedBy === user.userDetails && !user.roles.includes('admin')) {
+        throw new AuthError(403, 'Uploads must be approved by someone other than the uploader');
+    }
+    return { to: transition.to, comment: text || null };
+}
+
+/**
+ * Moves an upload through the review workflow (see checkTransition) and
+ * records the change on the blob (status, statusChangedAt/By, statusComment)
+ * and in the status history of its manifest.
+ * Resolves to { file, statusHistory }, or null when the upload does not exist.
+ */
+async function applyTransition(storage, name, action, user, comment) {
+    const blob = await storage.getMetadata(name);
+    if (!blob) return null;
+    const { to, comment: text } = checkTransition(toFileSummary(blob), action, user, comment);
+
+    const at = new Date().toISOString();
+    const { metadata, properties } = decodeBlobMetadata(blob.metadata);
+    const { statusComment, ...rest } = properties;
+    await storage.setMetadata(name, encodeBlobMetadata(metadata, {
+        ...rest,
+        status: to,
+        statusChangedAt: at,
+        statusChangedBy: user.userDetails,
+        ...(text && { statusComment: text })
+    }));
+
+    // Keep the full history next to the file
+    const entry = { status: to, at, by: user.userDetails, action, comment: text };
+    let statusHistory = [entry];
+    const manifest = await readManifest(storage, name);
+    if (manifest) {
+        statusHistory = [...(manifest.json.statusHistory || []), entry];
+        await storage.put(manifestName(name), JSON.stringify({ ...manifest.json, statusHistory }, null, 2), {
+            contentType: 'application/json',
+            metadata: manifest.blob.metadata
+        });
+    }
+
+    return {
+        file: toFileSummary(await storage.getMetadata(name)),
+        statusHistory
+    };
+}
+
+// Throws AuthError when `user` may not delete the upload `summary` (see UPLOADER_DELETABLE)
+function checkDeletable(user, summary) {
+    if (hasRole(user, ['admin'])) return;
+    if (!hasRole(user, ['uploader']) || !UPLOADER_DELETABLE.includes(summary.status)) {
+        throw new AuthError(403, `Only admins may delete ${summary.status} uploads`);
+    }
+}
+
+// Status history of an upload from its manifest (empty for uploads without one)
+async function getStatusHistory(storage, name) {
+    const manifest = await readManifest(storage, name);
+    return manifest?.json.statusHistory || [];
+}
+
+module.exports = {
+    STATUSES,
+    DEFAULT_STATUS,
+    TRANSITIONS,
+    WorkflowError,
+    isReportable,
+    checkTransition,
+    applyTransition,
+    checkDeletable,
+    getStatusHistory
+};
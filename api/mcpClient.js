@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+const path = require('path');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio.js');
+
+const USAGE = `Usage: node api/mcpClient.js [<tool> ['<json arguments>']]
+
+Starts the MCP server (api/mcpServer.js) over stdio as MCP_USER and calls one
+of its tools, or lists the tools when none is given. For example:
+
+  MCP_USER=uploader@example.com node api/mcpClient.js get_metric_values \\
+    '{"location": "Slough EV Hub", "period": "2024-Q1", "topic": "Energy"}'`;
+
+async function main() {
+    const [tool, json = '{}'] = process.argv.slice(2);
+    if (tool === '--help') {
+        console.log(USAGE);
+        return;
+    }
+    let args;
+    try {
+        args = JSON.parse(json);
+    } catch (parseError) {
+        console.error(`❌ Arguments are not valid JSON: ${parseError.message}\n\n${USAGE}`);
+        process.exitCode = 2;
+        return;
+    }
+
+    const transport = new StdioClientTransport({
+        command: process.execPath,
+        args: [path.join(__dirname, 'mcpServer.js')],
+        env: process.env,
+        stderr: 'inherit'
+    });
+    const client = new Client({ name: 'esg-uploads-test-client', version: '1.0.0' });
+    await client.connect(transport);
+    try {
+        if (!tool) {
+            const { tools } = await client.listTools();
+            for (const { name, description } of tools) {
+                console.log(`${name}\n  ${description}\n`);
+            }
+            return;
+        }
+        const result = await client.callTool({ name: tool, arguments: args });
+        for (const item of result.content) {
+            console.log(item.type === 'text' ? item.text : item);
+        }
+        if (result.isError) process.exitCode = 1;
+    } finally {
+        await client.close();
+    }
+}
+
+main().catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 2;
+});
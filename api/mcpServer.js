@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { getSettingValue } = require('./lib/config');
+const { userFromPrincipal } = require('./lib/auth');
+const { createMcpServer } = require('./lib/mcpTools');
+
+// stdout carries the protocol messages, so everything else goes to stderr
+function log(...args) {
+    console.error(...args);
+}
+
+// Acts as MCP_USER, with the roles and companies access.json gives that e-mail
+async function main() {
+    const userDetails = getSettingValue('MCP_USER');
+    if (!userDetails) {
+        log('❌ Set MCP_USER to the e-mail of a user in api/config/access.json');
+        process.exitCode = 2;
+        return;
+    }
+    const user = userFromPrincipal({ userId: userDetails, userDetails, identityProvider: 'mcp' });
+    if (user.roles.length === 0) {
+        log(`❌ ${userDetails} has no role in api/config/access.json`);
+        process.exitCode = 2;
+        return;
+    }
+
+    await createMcpServer(user, { log }).connect(new StdioServerTransport());
+    log(`ESG uploads MCP server on stdio, acting as ${user.userDetails} (${user.roles.join(', ')})`);
+}
+
+main().catch(error => {
+    log('❌ MCP server failed:', error);
+    process.exitCode = 1;
+});
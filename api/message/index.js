@@ -1,9 +0,0 @@
-const { app } = require('@azure/functions');
-
-app.http('message', {
-    methods: ['GET', 'POST'],
-    authLevel: 'anonymous',
-    handler: async (request, context) => {
-        return { body: `Hello, from the API!` };
-    }
-});
@@ -1,6 +1,8 @@
 const multipart = require('parse-multipart');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { LocalFileStorageProvider } = require('./lib/storage/localFileProvider');
 
 // Create a test Excel file buffer (minimal XLSX structure)
 function createTestExcelBuffer() {
@@ -34,7 +36,7 @@ function createMultipartFormData() {
         'location': 'New York',
         'time_period': '2024',
         'esg_topic': 'Environment',
-        'esg_metric': 'Energy Consumption',
+        'esg_metric': 'Total Energy Consumption',
         'unit': 'kWh'
     };
     
@@ -144,6 +146,40 @@ async function testMultipartParsing() {
             console.log('✅ All required fields present');
         }
         
+        // Round-trip the file through the local storage adapter (no Azure needed)
+        console.log('\n--- Testing local storage round trip ---');
+        const storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'esg-upload-'));
+        const storage = new LocalFileStorageProvider({ rootPath: storageRoot, containerName: 'upload' });
+        try {
+            const blobName = `${fields.company}_test.xlsx`;
+            await storage.put(blobName, filePart.data, {
+                contentType: filePart.type,
+                metadata: { originalFilename: filePart.filename, ...fields }
+            });
+
+            const stored = await storage.get(blobName);
+            if (!stored || !stored.data.equals(filePart.data)) {
+                throw new Error('Stored file content does not match uploaded content');
+            }
+            if (stored.metadata.company !== fields.company) {
+                throw new Error('Stored metadata does not match uploaded fields');
+            }
+
+            const listed = [];
+            for await (const blob of storage.list()) {
+                listed.push(blob.name);
+            }
+            console.log('  Listed blobs:', listed);
+
+            await storage.delete(blobName);
+            if (await storage.getMetadata(blobName)) {
+                throw new Error('Blob still present after delete');
+            }
+            console.log('✅ Local storage put/get/list/delete round trip passed');
+        } finally {
+            fs.rmSync(storageRoot, { recursive: true, force: true });
+        }
+
         console.log('\n🎉 Multipart parsing test completed successfully!');
         
         return {
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalFileStorageProvider } = require('../lib/storage/localFileProvider');
+const { AUDIT_COLUMNS, recordEvent, uploadEvents, queryEvents, toAuditRecords } = require('../lib/audit');
+
+const uploader = { userId: 'u-1', userDetails: 'Uploader@example.com', identityProvider: 'aad' };
+const reviewer = { userId: 'r-1', userDetails: 'reviewer@example.com' };
+
+const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+const storage = new LocalFileStorageProvider({ rootPath, containerName: 'audit' });
+test.after(() => fs.rmSync(rootPath, { recursive: true, force: true }));
+
+test.before(async () => {
+    await recordEvent(storage, { type: 'upload', actor: uploader, requestId: 'inv-1', blobName: 'ev/2024-q1/a.xlsx', company: 'EV Incorporated', at: new Date('2024-03-01T09:00:00Z') });
+    await recordEvent(storage, { type: 'status.change', actor: reviewer, blobName: 'ev/2024-q1/a.xlsx', company: 'EV Incorporated', before: { status: 'submitted' }, after: { status: 'approved' }, at: new Date('2024-03-02T10:00:00Z') });
+    await recordEvent(storage, { type: 'export', actor: reviewer, company: 'EV Incorporated', details: { files: ['ev/2024-q1/a.xlsx'] }, at: new Date('2024-03-02T08:00:00Z') });
+    await recordEvent(storage, { type: 'upload', actor: uploader, blobName: 'other/2024/b.xlsx', company: 'Other Co', at: new Date('2024-03-05T12:00:00Z') });
+});
+
+test('refuses event types it does not know', async () => {
+    await assert.rejects(recordEvent(storage, { type: 'rename', actor: uploader }), /Unknown audit event type "rename"/);
+});
+
+test('appends events to one log per day', async () => {
+    const days = [];
+    for await (const blob of storage.list({ prefix: 'events/' })) days.push(blob.name);
+    assert.deepStrictEqual(days.sort(), ['events/2024/03/01.jsonl', 'events/2024/03/02.jsonl', 'events/2024/03/05.jsonl']);
+
+    const lines = (await storage.get('events/2024/03/02.jsonl')).data.toString('utf8').trim().split('\n');
+    assert.deepStrictEqual(lines.map(line => JSON.parse(line).type), ['status.change', 'export']);
+});
+
+test('returns events oldest first with the actor and request', async () => {
+    const events = await queryEvents(storage);
+    assert.deepStrictEqual(events.map(event => event.at), [
+        '2024-03-01T09:00:00.000Z', '2024-03-02T08:00:00.000Z', '2024-03-02T10:00:00.000Z', '2024-03-05T12:00:00.000Z'
+    ]);
+    assert.deepStrictEqual(events[0].actor, { userId: 'u-1', userDetails: 'Uploader@example.com', identityProvider: 'aad' });
+    assert.strictEqual(events[0].requestId, 'inv-1');
+    assert.ok(events[0].id);
+});
+
+test('filters events by file, company, user, type and dates', async () => {
+    const types = async filters => (await queryEvents(storage, filters)).map(event => event.type);
+    assert.deepStrictEqual(await types({ file: 'ev/2024-q1/a.xlsx' }), ['upload', 'export', 'status.change']);
+    assert.deepStrictEqual(await types({ company: 'ev incorporated' }), ['upload', 'export', 'status.change']);
+    assert.deepStrictEqual(await types({ user: 'uploader@example.com' }), ['upload', 'upload']);
+    assert.deepStrictEqual(await types({ user: 'r-1' }), ['export', 'status.change']);
+    assert.deepStrictEqual(await types({ type: ['export', 'status.change'] }), ['export', 'status.change']);
+    assert.deepStrictEqual(await types({ from: new Date('2024-03-02T09:00:00Z'), to: new Date('2024-03-04T00:00:00Z') }), ['status.change']);
+});
+
+test('leaves out events the caller may not see', async () => {
+    const events = await queryEvents(storage, {}, event => event.company === 'Other Co');
+    assert.deepStrictEqual(events.map(event => event.blobName), ['other/2024/b.xlsx']);
+});
+
+test('records an upload, and the version it superseded', () => {
+    const metadata = { company: 'EV Incorporated' };
+    const result = { success: true, fileName: 'ev/new.xlsx', originalFileName: 'q1.xlsx', status: 'submitted', contentHash: 'abc', replaces: 'ev/old.xlsx' };
+    const events = uploadEvents(uploader, result, metadata);
+    assert.deepStrictEqual(events.map(event => [event.type, event.blobName]), [['upload', 'ev/new.xlsx'], ['metadata.update', 'ev/old.xlsx']]);
+    assert.strictEqual(events[0].after.uploadedBy, 'Uploader@example.com');
+    assert.deepStrictEqual(events[1].after, { supersededBy: 'ev/new.xlsx' });
+
+    assert.strictEqual(uploadEvents(uploader, { ...result, replaces: null }, metadata).length, 1);
+    assert.deepStrictEqual(uploadEvents(uploader, { success: false }, metadata), []);
+});
+
+test('flattens events into the export columns', async () => {
+    const [record] = toAuditRecords(await queryEvents(storage, { type: ['status.change'] }));
+    assert.deepStrictEqual(Object.keys(record), AUDIT_COLUMNS.map(([header]) => header));
+    assert.strictEqual(record.actor, 'reviewer@example.com');
+    assert.strictEqual(record.request_id, null);
+    assert.strictEqual(record.before, '{"status":"submitted"}');
+    assert.strictEqual(record.details, null);
+});
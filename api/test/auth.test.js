@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { AuthError, loadAccessConfig, getClientPrincipal, getUser, canAccessCompany, requireRole, requireCompany } = require('../lib/auth');
+
+// A request as Static Web Apps forwards it, signed in as `principal` when one is given
+function request(principal) {
+    const headers = new Headers();
+    if (principal) headers.set('x-ms-client-principal', Buffer.from(JSON.stringify(principal)).toString('base64'));
+    return { headers };
+}
+
+function principal(userDetails, userRoles = ['anonymous', 'authenticated']) {
+    return { userId: `id-${userDetails}`, userDetails, identityProvider: 'aad', userRoles };
+}
+
+test('reads the client principal header', () => {
+    assert.deepStrictEqual(getClientPrincipal(request(principal('uploader@example.com'))), principal('uploader@example.com'));
+    assert.strictEqual(getClientPrincipal(request()), null);
+    assert.strictEqual(getClientPrincipal({ headers: new Headers({ 'x-ms-client-principal': 'not base64 json' }) }), null);
+    assert.strictEqual(getClientPrincipal(request({ userDetails: 'no-id@example.com' })), null);
+});
+
+test('assigns roles and companies from config/access.json', () => {
+    const config = loadAccessConfig();
+    assert.deepStrictEqual(getUser(request(principal('Uploader@Example.com')), config), {
+        userId: 'id-Uploader@Example.com',
+        userDetails: 'Uploader@Example.com',
+        identityProvider: 'aad',
+        roles: ['uploader'],
+        companies: ['EV Incorporated']
+    });
+    assert.deepStrictEqual(getUser(request(principal('admin@example.com')), config).companies, ['*']);
+
+    const stranger = getUser(request(principal('stranger@example.com')), config);
+    assert.deepStrictEqual([stranger.roles, stranger.companies], [[], []]);
+    assert.strictEqual(getUser(request(), config), null);
+});
+
+test('honours roles assigned in Static Web Apps and matches assignments by user id', () => {
+    const config = { users: [{ userId: 'id-42', roles: ['reviewer'], companies: ['Other Co'] }] };
+    const user = getUser(request({ userId: 'id-42', userDetails: 'someone@example.com', userRoles: ['authenticated', 'auditor', 'owner'] }), config);
+    assert.deepStrictEqual(user.roles, ['auditor', 'reviewer']);
+    assert.deepStrictEqual(user.companies, ['Other Co']);
+});
+
+test('scopes companies by slug, with admins and "*" seeing every company', () => {
+    const config = loadAccessConfig();
+    const uploader = getUser(request(principal('uploader@example.com')), config);
+    assert.ok(canAccessCompany(uploader, 'EV Incorporated'));
+    assert.ok(canAccessCompany(uploader, '  ev-incorporated '));
+    assert.ok(!canAccessCompany(uploader, 'Other Co'));
+    assert.ok(!canAccessCompany(uploader, '???'));
+
+    assert.ok(canAccessCompany(getUser(request(principal('admin@example.com')), config), 'Other Co'));
+    assert.ok(canAccessCompany({ roles: ['auditor'], companies: ['*'] }, 'Other Co'));
+
+    assert.doesNotThrow(() => requireCompany(uploader, 'EV Incorporated'));
+    assert.throws(() => requireCompany(uploader, 'Other Co'), error => error instanceof AuthError && error.status === 403);
+});
+
+test('requires sign-in and one of the roles', () => {
+    assert.throws(() => requireRole(request(), ['uploader']), error => error instanceof AuthError && error.status === 401);
+    assert.throws(() => requireRole(request(principal('auditor@example.com')), ['uploader', 'admin']),
+        error => error.status === 403 && /requires one of the roles: uploader, admin/.test(error.message));
+    assert.strictEqual(requireRole(request(principal('uploader@example.com')), ['uploader', 'admin']).userDetails, 'uploader@example.com');
+});
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const ExcelJS = require('exceljs');
+
+const CLI = path.join(__dirname, '..', 'bulk-upload.js');
+const HEADER = 'file,company,business_unit,location,time_period,esg_topic,esg_metric,unit';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'bulk-upload-test-'));
+const folder = path.join(root, 'reports');
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+async function writeWorkbook(name, rows) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet('Data').addRows([['Metric', 'Value', 'Unit', 'Period'], ...rows]);
+    await workbook.xlsx.writeFile(path.join(folder, name));
+}
+
+function writeFile(name, content) {
+    const file = path.join(root, name);
+    fs.writeFileSync(file, content);
+    return file;
+}
+
+// Runs the CLI to completion; resolves to its exit code and output
+function run(args) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [CLI, ...args], { timeout: 60000, env: { ...process.env, TEST_USER: '' } }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+function readReport(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// A Functions host stand-in: /api/me answers with `user`, /api/storage with the next of `uploads` ([status, body])
+function startApi(user, uploads) {
+    const requests = [];
+    const server = http.createServer((request, response) => {
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => {
+            requests.push({ method: request.method, url: request.url, headers: request.headers, body: Buffer.concat(chunks).toString('latin1') });
+            const [status, body] = request.url === '/api/me' ? [200, { user }] : uploads.shift() || [500, { error: 'unexpected request' }];
+            response.writeHead(status, { 'content-type': 'application/json', 'retry-after': '0' });
+            response.end(JSON.stringify(body));
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        resolve({ url: `http://127.0.0.1:${server.address().port}`, requests, close: () => new Promise(done => server.close(done)) });
+    }));
+}
+
+test.before(async () => {
+    fs.mkdirSync(folder);
+    await writeWorkbook('energy-2024.xlsx', [['Total Energy Consumption', 1200, 'kWh', '2024-Q1']]);
+    await writeWorkbook('water-2024.xlsx', [['Water Usage', 35, 'm3', '2024-Q1']]);
+    await writeWorkbook('wrong-unit.xlsx', [['Total Energy Consumption', 5, 'MWh', '2024-Q1']]);
+    await writeWorkbook('unlisted.xlsx', [['Total Energy Consumption', 1, 'kWh', '2024-Q1']]);
+    fs.writeFileSync(path.join(root, 'outside.xlsx'), fs.readFileSync(path.join(folder, 'energy-2024.xlsx')));
+});
+
+test('prints usage and exits with 2 without a manifest', async () => {
+    const { code, stderr } = await run([folder]);
+    assert.strictEqual(code, 2);
+    assert.match(stderr, /A folder and --manifest are required/);
+    assert.match(stderr, /Usage: node api\/bulk-upload\.js/);
+});
+
+test('checks every entry of a CSV manifest and names the problems', async () => {
+    const manifest = writeFile('manifest.csv', [
+        HEADER,
+        'energy-2024.xlsx,EV Incorporated,"Plant;Office, North",Berlin,2024-Q1,Energy,Total Energy Consumption,kWh',
+        'wrong-unit.xlsx,EV Incorporated,Plant,Berlin,2024-Q1,Energy,Total Energy Consumption,kWh',
+        'missing.xlsx,EV Incorporated,Plant,Berlin,2024-Q1,Energy,Total Energy Consumption,kWh',
+        'energy-2024.xlsx,EV Incorporated,Plant,Berlin,2024-Q1,Energy,Total Energy Consumption,kWh',
+        '../outside.xlsx,EV Incorporated,Plant,Berlin,2024-Q1,Energy,Total Energy Consumption,kWh',
+        'water-2024.xlsx,EV Incorporated,Plant,Berlin,2024-Q1,Water,Water Usage,furlongs',
+        ''
+    ].join('\n'));
+    const report = path.join(root, 'checks.json');
+    const { code, stdout } = await run([folder, '--manifest', manifest, '--dry-run', '--report', report]);
+
+    assert.strictEqual(code, 1);
+    assert.match(stdout, /Not in the manifest, skipped: .*unlisted\.xlsx/);
+    const { dryRun, counts, results } = readReport(report);
+    assert.strictEqual(dryRun, true);
+    assert.deepStrictEqual(counts, { valid: 1, invalid: 5 });
+    assert.deepStrictEqual(results.map(row => [row.file, row.status, row.code]), [
+        ['energy-2024.xlsx', 'valid', null],
+        ['wrong-unit.xlsx', 'invalid', 'VALIDATION_FAILED'],
+        ['missing.xlsx', 'invalid', null],
+        ['energy-2024.xlsx', 'invalid', null],
+        ['../outside.xlsx', 'invalid', null],
+        ['water-2024.xlsx', 'invalid', null]
+    ]);
+    assert.match(results[1].details, /Unit "MWh" does not match/);
+    assert.deepStrictEqual(results.slice(2, 5).map(row => row.error), ['File not found', 'Listed twice (also on line 2)', 'The file is outside the folder']);
+});
+
+test('reads JSON and Excel manifests and writes a CSV report', async () => {
+    const entry = { company: 'EV Incorporated', business_unit: ['Utilities'], location: ['Berlin'], time_period: ['2024-Q1'], esg_topic: ['Water'], esg_metric: ['Water Usage'], unit: ['m³'] };
+    const json = writeFile('manifest.json', JSON.stringify([{ file: 'water-2024.xlsx', ...entry }]));
+    const csvReport = path.join(root, 'json-report.csv');
+    const fromJson = await run([folder, '--manifest', json, '--dry-run', '--report', csvReport]);
+    assert.strictEqual(fromJson.code, 0, fromJson.stdout);
+    const [header, row] = fs.readFileSync(csvReport, 'utf8').trim().split(/\r?\n/);
+    assert.match(header, /^file,status,httpStatus,code,error/);
+    assert.match(row, /^water-2024\.xlsx,valid,/);
+
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet('Manifest').addRows([
+        HEADER.split(','),
+        ['energy-2024.xlsx', 'EV Incorporated', 'Plant;Office', 'Berlin', '2024-Q1', 'Energy', 'Total Energy Consumption', 'kWh']
+    ]);
+    const xlsx = path.join(root, 'manifest.xlsx');
+    await workbook.xlsx.writeFile(xlsx);
+    const fromExcel = await run([folder, '--manifest', xlsx, '--dry-run', '--report', path.join(root, 'xlsx-report.json')]);
+    assert.strictEqual(fromExcel.code, 0, fromExcel.stdout);
+    assert.deepStrictEqual(readReport(path.join(root, 'xlsx-report.json')).counts, { valid: 1 });
+});
+
+test('uploads valid entries, retrying server errors, and counts duplicates as done', async t => {
+    const api = await startApi({ userDetails: 'uploader@example.com', roles: ['uploader'], companies: ['EV Incorporated'] }, [
+        [503, { success: false, error: 'Storage unavailable' }],
+        [201, { success: true, results: [{ success: true, fileName: 'ev-incorporated/2024-q1/a.xlsx', validation: { status: 'passed', warningCount: 0 } }] }],
+        [409, { success: false, results: [{ success: false, code: 'DUPLICATE_FILE', error: 'Already uploaded', duplicateOf: { name: 'ev-incorporated/2024-q1/b.xlsx' } }] }]
+    ]);
+    t.after(() => api.close());
+    const manifest = writeFile('upload.csv', [
+        HEADER,
+        'energy-2024.xlsx,EV Incorporated,Plant,Berlin,2024-Q1,Energy,Total Energy Consumption,kWh',
+        'water-2024.xlsx,EV Incorporated,Plant,Berlin,2024-Q1,Water,Water Usage,m³'
+    ].join('\n'));
+    const report = path.join(root, 'upload.json');
+    const { code, stdout } = await run([folder, '--manifest', manifest, '--api', api.url, '--user', 'uploader@example.com',
+        '--concurrency', '1', '--draft', '--report', report]);
+
+    assert.strictEqual(code, 0, stdout);
+    const { results, counts } = readReport(report);
+    assert.deepStrictEqual(counts, { uploaded: 1, duplicate: 1 });
+    assert.deepStrictEqual(results.map(row => [row.file, row.status, row.httpStatus, row.attempts, row.blobName]), [
+        ['energy-2024.xlsx', 'uploaded', 201, 2, 'ev-incorporated/2024-q1/a.xlsx'],
+        ['water-2024.xlsx', 'duplicate', 409, 1, 'ev-incorporated/2024-q1/b.xlsx']
+    ]);
+
+    const uploads = api.requests.filter(request => request.url.startsWith('/api/storage'));
+    assert.strictEqual(uploads.length, 3);
+    assert.ok(uploads.every(request => request.url === '/api/storage?draft=true'));
+    assert.match(uploads[0].body, /filename="energy-2024\.xlsx"/);
+    const principal = JSON.parse(Buffer.from(uploads[0].headers['x-ms-client-principal'], 'base64').toString('utf8'));
+    assert.strictEqual(principal.userDetails, 'uploader@example.com');
+});
+
+test('sends nothing when the user may not upload for a company', async t => {
+    const api = await startApi({ userDetails: 'uploader@example.com', roles: ['uploader'], companies: ['Other Co'] }, []);
+    t.after(() => api.close());
+    const manifest = writeFile('denied.csv', [HEADER, 'energy-2024.xlsx,EV Incorporated,Plant,Berlin,2024-Q1,Energy,Total Energy Consumption,kWh'].join('\n'));
+    const { code, stderr } = await run([folder, '--manifest', manifest, '--api', api.url, '--user', 'uploader@example.com', '--report', path.join(root, 'denied.json')]);
+
+    assert.strictEqual(code, 2);
+    assert.match(stderr, /uploader@example\.com is not assigned to "EV Incorporated"/);
+    assert.deepStrictEqual(api.requests.map(request => request.url), ['/api/me']);
+});
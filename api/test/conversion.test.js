@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findUnit, convert, calculateEmissions, normalizeDataPoint, normalizeExtraction, loadEmissionFactors } = require('../lib/conversion');
+
+const FACTORS = {
+    version: 'test-1',
+    factors: [
+        { metric: 'Electricity Consumption', scope: 2, unit: 'kWh', kgCO2e: 0.5 },
+        { metric: 'Diesel Consumption', scope: 1, unit: 'litres', kgCO2e: 2 }
+    ]
+};
+
+function point(metric, value, unit) {
+    return { metric, value, unit, source: { sheet: 'Data', row: 2, cell: 'B2' } };
+}
+
+test('finds units by name, case and alias', () => {
+    assert.strictEqual(findUnit('mwh').name, 'MWh');
+    assert.strictEqual(findUnit(' m3 ').name, 'm³');
+    assert.strictEqual(findUnit('Liters').name, 'litres');
+    assert.strictEqual(findUnit('t').quantity, 'mass');
+    assert.strictEqual(findUnit('furlongs'), null);
+    assert.strictEqual(findUnit(''), null);
+});
+
+test('converts between units of the same quantity only', () => {
+    assert.strictEqual(convert(2, 'MWh', 'kWh'), 2000);
+    assert.strictEqual(convert(3.6, 'MJ', 'kWh'), 1);
+    assert.strictEqual(convert(1500, 'l', 'm3'), 1.5);
+    assert.strictEqual(convert(2, 'tonnes', 'kg'), 2000);
+    assert.strictEqual(convert(1, 'kWh', 'kg'), null);
+    assert.strictEqual(convert(1, 'kWh', 'furlongs'), null);
+    assert.strictEqual(convert(null, 'kWh', 'MWh'), null);
+});
+
+test('calculates emissions with the first factor the unit converts to', () => {
+    assert.deepStrictEqual(calculateEmissions('electricity consumption', 2, 'MWh', FACTORS), {
+        scope: 2,
+        co2e: 1,
+        unit: 'tCO2e',
+        factor: 0.5,
+        factorUnit: 'kg CO2e/kWh'
+    });
+    assert.strictEqual(calculateEmissions('Diesel Consumption', 1, 'kWh', FACTORS), null);
+    assert.strictEqual(calculateEmissions('Water Usage', 10, 'm³', FACTORS), null);
+});
+
+test('normalizes a value to its metric\'s canonical unit and keeps what was reported', () => {
+    const normalized = normalizeDataPoint(point('Total Energy Consumption', 1.5, 'MWh'), { factors: FACTORS });
+    assert.strictEqual(normalized.value, 1.5);
+    assert.strictEqual(normalized.unit, 'MWh');
+    assert.strictEqual(normalized.normalizedValue, 1500);
+    assert.strictEqual(normalized.normalizedUnit, 'kWh');
+    assert.strictEqual(normalized.emissions, undefined);
+});
+
+test('keeps values that cannot be converted, with the unit\'s standard spelling', () => {
+    const unknown = normalizeDataPoint(point('Total Energy Consumption', 7, 'barrels'), { factors: FACTORS });
+    assert.strictEqual(unknown.normalizedValue, 7);
+    assert.strictEqual(unknown.normalizedUnit, 'barrels');
+
+    const alias = normalizeDataPoint(point('Something Else', 7, 'm3'), { factors: FACTORS });
+    assert.strictEqual(alias.normalizedValue, 7);
+    assert.strictEqual(alias.normalizedUnit, 'm³');
+});
+
+test('adds up Scope 1 and Scope 2 emissions of a workbook', () => {
+    const normalized = normalizeExtraction({
+        sheets: [],
+        dataPoints: [
+            point('Electricity Consumption', 1000, 'kWh'),
+            point('Electricity Consumption', 1, 'MWh'),
+            point('Diesel Consumption', 500, 'litres'),
+            point('Water Usage', 10, 'm³')
+        ]
+    }, { factors: FACTORS });
+    assert.strictEqual(normalized.emissionFactorsVersion, 'test-1');
+    assert.deepStrictEqual(normalized.emissions, { scope1: 1, scope2: 1, unit: 'tCO2e' });
+    assert.deepStrictEqual(normalized.dataPoints.map(item => item.emissions?.scope ?? null), [2, 2, 1, null]);
+});
+
+test('ships emission factors in units it can convert', () => {
+    const { version, factors } = loadEmissionFactors();
+    assert.ok(version);
+    for (const factor of factors) {
+        assert.ok(findUnit(factor.unit), `unknown unit ${factor.unit}`);
+        assert.ok([1, 2].includes(factor.scope));
+    }
+});
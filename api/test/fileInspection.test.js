@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const ExcelJS = require('exceljs');
+const { OLE_SIGNATURE, FileInspectionError, maxUploadBytes, inspectUpload } = require('../lib/fileInspection');
+
+const WORKBOOK_TYPES = '<Types><Override PartName="/xl/workbook.xml" ' +
+    'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/></Types>';
+
+// ZIP archive of `{ name, content, deflate, size, flags }` entries, built byte by byte so entries can lie about themselves
+function zip(entries) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const entry of entries) {
+        const content = Buffer.from(entry.content);
+        const data = entry.deflate ? zlib.deflateRawSync(content) : content;
+        const name = Buffer.from(entry.name);
+        const fields = header => {
+            header.writeUInt16LE(entry.flags || 0, header.length === 30 ? 6 : 8);
+            header.writeUInt16LE(entry.deflate ? 8 : 0, header.length === 30 ? 8 : 10);
+            header.writeUInt32LE(data.length, header.length === 30 ? 18 : 20);
+            header.writeUInt32LE(entry.size ?? content.length, header.length === 30 ? 22 : 24);
+            header.writeUInt16LE(name.length, header.length === 30 ? 26 : 28);
+            return header;
+        };
+        const local = fields(Buffer.alloc(30));
+        local.writeUInt32LE(0x04034B50, 0);
+        const central = fields(Buffer.alloc(46));
+        central.writeUInt32LE(0x02014B50, 0);
+        central.writeUInt32LE(offset, 42);
+        locals.push(local, name, data);
+        centrals.push(central, name);
+        offset += local.length + name.length + data.length;
+    }
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+}
+
+function workbookZip(...parts) {
+    return zip([{ name: '[Content_Types].xml', content: WORKBOOK_TYPES }, { name: 'xl/workbook.xml', content: '<workbook/>' }, ...parts]);
+}
+
+async function excelWorkbook() {
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet('Data').addRows([['Metric', 'Value', 'Unit'], ['Total Energy Consumption', 1200, 'kWh']]);
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+function rejection(filename, data, options) {
+    try {
+        inspectUpload({ filename, data }, options);
+    } catch (error) {
+        assert.ok(error instanceof FileInspectionError, error.message);
+        return [error.status, error.code];
+    }
+    assert.fail(`${filename} was accepted`);
+}
+
+test('accepts an .xlsx workbook written by a spreadsheet library', async () => {
+    assert.doesNotThrow(() => inspectUpload({ filename: 'Q1 Report.XLSX', data: workbookZip() }));
+    const data = await excelWorkbook();
+    assert.doesNotThrow(() => inspectUpload({ filename: 'report.xlsx', data }));
+});
+
+test('accepts only .xlsx names', () => {
+    assert.deepStrictEqual(rejection('report.xls', workbookZip()), [400, 'INVALID_FILE_TYPE']);
+    assert.deepStrictEqual(rejection('report.csv', workbookZip()), [400, 'INVALID_FILE_TYPE']);
+    assert.deepStrictEqual(rejection('report', workbookZip()), [400, 'INVALID_FILE_TYPE']);
+    assert.deepStrictEqual(rejection('report.xlsm', workbookZip()), [422, 'MACRO_ENABLED']);
+});
+
+test('rejects empty and oversized files', () => {
+    assert.deepStrictEqual(rejection('report.xlsx', Buffer.alloc(0)), [400, 'EMPTY_FILE']);
+    assert.deepStrictEqual(rejection('report.xlsx', workbookZip(), { maxBytes: 100 }), [413, 'FILE_TOO_LARGE']);
+});
+
+test('rejects content that is not a workbook', () => {
+    assert.deepStrictEqual(rejection('report.xlsx', Buffer.from('Metric,Value\n')), [415, 'CONTENT_MISMATCH']);
+    assert.deepStrictEqual(rejection('report.xlsx', zip([{ name: 'readme.txt', content: 'hello' }])), [422, 'NOT_A_SPREADSHEET']);
+});
+
+test('tells password-protected workbooks from renamed .xls files', () => {
+    const ole = body => Buffer.concat([OLE_SIGNATURE, Buffer.alloc(504), Buffer.from(body, 'utf16le')]);
+    assert.deepStrictEqual(rejection('report.xlsx', ole('EncryptedPackage')), [422, 'ENCRYPTED_FILE']);
+    assert.deepStrictEqual(rejection('report.xlsx', ole('Workbook')), [415, 'CONTENT_MISMATCH']);
+    assert.deepStrictEqual(rejection('report.xlsx', workbookZip({ name: 'xl/styles.xml', content: '<styles/>', flags: 1 })), [422, 'ENCRYPTED_FILE']);
+});
+
+test('rejects macros and ActiveX controls', () => {
+    assert.deepStrictEqual(rejection('report.xlsx', workbookZip({ name: 'xl/vbaProject.bin', content: 'vba' })), [422, 'MACRO_ENABLED']);
+    assert.deepStrictEqual(rejection('report.xlsx', workbookZip({ name: 'xl/activeX/activeX1.xml', content: '<ax/>' })), [422, 'MACRO_ENABLED']);
+    const macroTypes = WORKBOOK_TYPES.replace('sheet.main+xml', 'sheet.macroEnabled.main+xml');
+    assert.deepStrictEqual(rejection('report.xlsx', zip([{ name: '[Content_Types].xml', content: macroTypes }])), [422, 'MACRO_ENABLED']);
+});
+
+test('rejects zip bombs and parts that lie about their size', () => {
+    const zeros = Buffer.alloc(2 * 1024 * 1024);
+    assert.deepStrictEqual(rejection('report.xlsx', workbookZip({ name: 'xl/sheet1.xml', content: zeros, deflate: true })), [422, 'ZIP_BOMB']);
+    const understated = { name: 'xl/sheet1.xml', content: Buffer.alloc(4096, 'a'), deflate: true, size: 100 };
+    assert.deepStrictEqual(rejection('report.xlsx', workbookZip(understated)), [422, 'ZIP_BOMB']);
+    const overstated = { name: 'xl/sheet1.xml', content: 'abc', size: 10 };
+    assert.deepStrictEqual(rejection('report.xlsx', workbookZip(overstated)), [422, 'INVALID_ZIP']);
+});
+
+test('rejects broken archives and part names that leave the archive', () => {
+    const data = workbookZip();
+    assert.deepStrictEqual(rejection('report.xlsx', data.subarray(0, data.length - 30)), [422, 'INVALID_ZIP']);
+    assert.deepStrictEqual(rejection('report.xlsx', workbookZip({ name: '../evil.xml', content: 'x' })), [422, 'INVALID_ZIP']);
+});
+
+test('falls back to the default size limit for settings that are not a positive number', t => {
+    t.after(() => delete process.env.MAX_UPLOAD_SIZE_MB);
+    process.env.MAX_UPLOAD_SIZE_MB = '2';
+    assert.strictEqual(maxUploadBytes(), 2 * 1024 * 1024);
+    for (const value of ['abc', '0', '-5']) {
+        process.env.MAX_UPLOAD_SIZE_MB = value;
+        assert.strictEqual(maxUploadBytes(), 100 * 1024 * 1024, value);
+    }
+});
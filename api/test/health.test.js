@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkLiveness, checkReadiness } = require('../lib/health');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'health-test-'));
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+test('answers liveness without touching storage', () => {
+    const health = checkLiveness(new Date());
+    assert.strictEqual(health.status, 'live');
+    assert.strictEqual(health.build.node, process.version);
+});
+
+test('reports a failed check without its reason, which goes to the log', async t => {
+    t.after(() => delete process.env.STORAGE_PROVIDER);
+    process.env.STORAGE_PROVIDER = `bogus-${root}`;
+    const logged = [];
+    const health = await checkReadiness({ log: (...args) => logged.push(args.join(' ')) });
+
+    assert.strictEqual(health.status, 'unavailable');
+    assert.deepStrictEqual(health.checks.storage, { status: 'fail', reachable: false, containerExists: null, latencyMs: health.checks.storage.latencyMs });
+    assert.ok(!JSON.stringify(health).includes(root));
+    assert.strictEqual(logged.length, 1);
+    assert.match(logged[0], /storage not reachable: Unknown STORAGE_PROVIDER/);
+});
+
+test('checks local storage, with the default timeout for a setting that is not a positive number', async t => {
+    t.after(() => {
+        delete process.env.STORAGE_PROVIDER;
+        delete process.env.LOCAL_STORAGE_PATH;
+        delete process.env.HEALTH_TIMEOUT_MS;
+    });
+    process.env.STORAGE_PROVIDER = 'local';
+    process.env.LOCAL_STORAGE_PATH = root;
+    process.env.HEALTH_TIMEOUT_MS = 'soon';
+    const health = await checkReadiness();
+
+    // The upload container only appears with the first upload
+    assert.strictEqual(health.status, 'degraded');
+    assert.strictEqual(health.checks.storage.reachable, true);
+    assert.strictEqual(health.checks.storage.containerExists, false);
+    assert.deepStrictEqual(health.checks.config.files, { taxonomy: 'ok', access: 'ok', emissionFactors: 'ok', disclosures: 'ok' });
+    assert.strictEqual(health.checks.config.settings.STORAGE_PROVIDER, 'env');
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+
+// The tools use the storage the settings select, so these point it at a temporary folder before anything is loaded
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-tools-test-'));
+process.env.STORAGE_PROVIDER = 'local';
+process.env.LOCAL_STORAGE_PATH = path.join(root, 'storage');
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const { createMcpServer } = require('../lib/mcpTools');
+const { queryEvents } = require('../lib/audit');
+const { AUDIT_CONTAINER, getStorageProvider } = require('../lib/storage');
+
+const METADATA = {
+    company: 'EV Incorporated',
+    business_unit: ['Operations'],
+    location: ['Slough EV Hub'],
+    time_period: ['2024-Q1'],
+    esg_topic: ['Energy'],
+    esg_metric: ['Total Energy Consumption'],
+    unit: ['MWh']
+};
+
+function user(userDetails, roles, companies = ['EV Incorporated']) {
+    return { userId: userDetails, userDetails, identityProvider: 'mcp', roles, companies };
+}
+
+const uploader = user('uploader@example.com', ['uploader']);
+const reviewer = user('reviewer@example.com', ['reviewer']);
+const auditor = user('auditor@example.com', ['auditor']);
+const outsider = user('outsider@example.com', ['uploader', 'reviewer'], ['Other Co']);
+
+let workbook;
+let workbookPath;
+
+// Calls `tool` as `actor` over an in-memory connection; resolves to { error } for tool errors, otherwise the result
+async function call(actor, tool, args = {}) {
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const client = new Client({ name: 'test', version: '1.0.0' });
+    await createMcpServer(actor).connect(serverTransport);
+    await client.connect(clientTransport);
+    try {
+        const result = await client.callTool({ name: tool, arguments: args });
+        const body = JSON.parse(result.content[0].text);
+        return result.isError ? { error: body } : body;
+    } finally {
+        await client.close();
+    }
+}
+
+test.before(async () => {
+    const book = new ExcelJS.Workbook();
+    book.addWorksheet('Data').addRows([
+        ['Metric', 'Value', 'Unit', 'Period'],
+        ['Total Energy Consumption', 1.2, 'MWh', '2024-Q1']
+    ]);
+    workbook = Buffer.from(await book.xlsx.writeBuffer());
+    workbookPath = path.join(root, 'q1.xlsx');
+    fs.writeFileSync(workbookPath, workbook);
+});
+
+test('lists the tools', async () => {
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const client = new Client({ name: 'test', version: '1.0.0' });
+    await createMcpServer(uploader).connect(serverTransport);
+    await client.connect(clientTransport);
+    const { tools } = await client.listTools();
+    await client.close();
+    assert.deepStrictEqual(tools.map(tool => tool.name).sort(), ['get_metric_values', 'get_upload_metadata', 'list_uploads', 'submit_workbook']);
+});
+
+test('checks the name and size of a workbook path before reading it', async t => {
+    const refused = async args => (await call(uploader, 'submit_workbook', { metadata: METADATA, ...args })).error;
+
+    assert.strictEqual((await refused({ file_path: '/etc/passwd' })).code, 'INVALID_FILE_TYPE');
+    assert.strictEqual((await refused({ file_path: path.join(root, 'q1.xls') })).code, 'INVALID_FILE_TYPE');
+    assert.match((await refused({ file_path: path.join(root, 'missing.xlsx') })).error, /^Cannot read .*missing\.xlsx/);
+    fs.mkdirSync(path.join(root, 'folder.xlsx'));
+    assert.match((await refused({ file_path: path.join(root, 'folder.xlsx') })).error, /is not a file$/);
+
+    t.after(() => delete process.env.MAX_UPLOAD_SIZE_MB);
+    process.env.MAX_UPLOAD_SIZE_MB = String(1 / 1024);
+    assert.strictEqual((await refused({ file_path: workbookPath })).code, 'FILE_TOO_LARGE');
+});
+
+test('takes exactly one of file_path and content_base64', async () => {
+    const both = await call(uploader, 'submit_workbook', { metadata: METADATA, file_path: workbookPath, content_base64: 'eA==' });
+    assert.strictEqual(both.error.error, 'Pass either file_path or content_base64');
+    const unnamed = await call(uploader, 'submit_workbook', { metadata: METADATA, content_base64: workbook.toString('base64') });
+    assert.strictEqual(unnamed.error.error, 'file_name is required with content_base64');
+});
+
+test('lets only uploaders submit, for their own companies', async () => {
+    assert.match((await call(auditor, 'submit_workbook', { metadata: METADATA, file_path: workbookPath })).error.error, /requires one of the roles: uploader, admin/);
+    assert.ok((await call(outsider, 'submit_workbook', { metadata: METADATA, file_path: workbookPath })).error);
+});
+
+test('stores a submitted workbook and records it in the audit trail', async () => {
+    const stored = await call(uploader, 'submit_workbook', { metadata: METADATA, file_path: workbookPath });
+    assert.strictEqual(stored.success, true, JSON.stringify(stored));
+    assert.strictEqual(stored.status, 'submitted');
+    assert.strictEqual(stored.dataPointCount, 1);
+    assert.match(stored.fileName, /^ev-incorporated\/2024-q1\/[0-9a-f-]+\.xlsx$/);
+
+    const duplicate = await call(uploader, 'submit_workbook', { metadata: METADATA, content_base64: workbook.toString('base64'), file_name: 'copy.xlsx' });
+    assert.strictEqual(duplicate.error.code, 'DUPLICATE_FILE');
+
+    const events = await queryEvents(getStorageProvider(AUDIT_CONTAINER), { file: stored.fileName });
+    assert.deepStrictEqual(events.map(event => [event.type, event.actor.userDetails]), [['upload', 'uploader@example.com']]);
+    assert.match(events[0].requestId, /^mcp-/);
+});
+
+test('lists and describes uploads of the user\'s companies only', async () => {
+    const { count, uploads } = await call(uploader, 'list_uploads', { location: 'slough ev hub' });
+    assert.strictEqual(count, 1);
+    assert.strictEqual(uploads[0].originalFileName, 'q1.xlsx');
+    assert.strictEqual((await call(uploader, 'list_uploads', { location: 'Berlin' })).count, 0);
+    assert.strictEqual((await call(outsider, 'list_uploads')).count, 0);
+
+    const details = await call(uploader, 'get_upload_metadata', { name: uploads[0].name });
+    assert.strictEqual(details.status, 'submitted');
+    assert.strictEqual(details.dataPointCount, 1);
+    assert.strictEqual(details.validation.status, 'passed');
+    assert.deepStrictEqual(details.metadata.location, ['Slough EV Hub']);
+    assert.strictEqual((await call(outsider, 'get_upload_metadata', { name: uploads[0].name })).error.error, 'File not found');
+});
+
+test('returns approved values, and values in review only to reviewers', async () => {
+    const approved = await call(uploader, 'get_metric_values', { location: 'Slough EV Hub' });
+    assert.strictEqual(approved.dataPointCount, 0);
+
+    assert.match((await call(uploader, 'get_metric_values', { include_unapproved: true })).error.error, /requires one of the roles: reviewer, admin/);
+
+    const inReview = await call(reviewer, 'get_metric_values', { include_unapproved: true, period: '2024', topic: 'energy' });
+    assert.strictEqual(inReview.dataPointCount, 1);
+    assert.deepStrictEqual(inReview.totals.map(({ metric, unit, total }) => [metric, unit, total]), [['Total Energy Consumption', 'kWh', 1200]]);
+    assert.strictEqual(inReview.values[0].cell, 'B2');
+    assert.strictEqual((await call(outsider, 'get_metric_values', { include_unapproved: true })).dataPointCount, 0);
+
+    assert.match((await call(reviewer, 'get_metric_values', { period: 'soon' })).error.error, /not a recognised period/);
+});
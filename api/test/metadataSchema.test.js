@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalFileStorageProvider } = require('../lib/storage/localFileProvider');
+const { SCHEMA_VERSION, normalizeMetadata, encodeBlobMetadata, decodeBlobMetadata } = require('../lib/metadataSchema');
+const { manifestName, readFileSummary } = require('../lib/uploads');
+
+const METADATA = {
+    company: 'Société Générale, SA',
+    business_unit: ['Plant, North', 'Office'],
+    location: ['Zürich'],
+    time_period: ['2024-Q1'],
+    esg_topic: ['Water'],
+    esg_metric: ['Water Usage'],
+    unit: ['m³']
+};
+
+// Azure counts the names and values of all metadata headers towards its 8 KB
+function headerBytes(headers) {
+    return Object.entries(headers).reduce((total, [key, value]) => total + key.length + value.length, 0);
+}
+
+const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'metadata-schema-test-'));
+const storage = new LocalFileStorageProvider({ rootPath, containerName: 'upload' });
+test.after(() => fs.rmSync(rootPath, { recursive: true, force: true }));
+
+test('normalizes structured and legacy comma-separated metadata', () => {
+    const structured = normalizeMetadata({
+        company: '  EV Incorporated ',
+        business_unit: ['Plant', 'plant', ' Office '],
+        time_period: ['Q1 2024', 'March 2024'],
+        esg_topic: ['energy'],
+        esg_metric: ['total energy consumption'],
+        unit: ['kwh']
+    });
+    assert.deepStrictEqual(structured.errors, []);
+    assert.deepStrictEqual(structured.missingFields, ['location']);
+    assert.deepStrictEqual(structured.metadata, {
+        company: 'EV Incorporated',
+        business_unit: ['Plant', 'Office'],
+        location: [],
+        time_period: ['2024-Q1', '2024-03'],
+        esg_topic: ['Energy'],
+        esg_metric: ['Total Energy Consumption'],
+        unit: ['kWh']
+    });
+
+    const legacy = normalizeMetadata({ company: 'EV Incorporated', location: 'Berlin, Slough', time_period: '2024, sometime' });
+    assert.deepStrictEqual(legacy.metadata.location, ['Berlin', 'Slough']);
+    assert.deepStrictEqual(legacy.metadata.time_period, ['2024']);
+    assert.deepStrictEqual(legacy.errors.map(e => [e.field, e.value]), [['time_period', 'sometime']]);
+});
+
+test('reports malformed values', () => {
+    const { errors, missingFields } = normalizeMetadata({ company: 42, location: [7], unit: ['x'.repeat(201)] });
+    assert.deepStrictEqual(errors.map(e => e.field), ['company', 'location', 'unit']);
+    assert.ok(missingFields.includes('company'));
+    assert.ok(!missingFields.includes('location'));
+    assert.strictEqual(normalizeMetadata(null).missingFields.length, 7);
+});
+
+test('round-trips metadata with commas and non-ASCII characters through blob headers', () => {
+    const encoded = encodeBlobMetadata(METADATA, { originalFilename: 'Wasser März.xlsx', uploadedAt: '2024-04-02T10:00:00.000Z', replaces: null });
+    assert.strictEqual(encoded.metadataSchema, String(SCHEMA_VERSION));
+    assert.strictEqual(encoded.metadataTruncated, undefined);
+    assert.ok(Object.values(encoded).every(value => /^[\x20-\x7e]*$/.test(value)));
+    assert.ok(!('replaces' in encoded));
+
+    const decoded = decodeBlobMetadata(encoded);
+    assert.deepStrictEqual(decoded.metadata, METADATA);
+    assert.deepStrictEqual(decoded.properties, { originalFilename: 'Wasser März.xlsx', uploadedAt: '2024-04-02T10:00:00.000Z' });
+});
+
+test('decodes blobs written before the structured schema', () => {
+    const { metadata, properties } = decodeBlobMetadata({ company: 'EV Incorporated', location: 'Berlin, Slough', unit: 'kWh', originalFilename: 'a%20b.xlsx' });
+    assert.strictEqual(metadata.company, 'EV Incorporated');
+    assert.deepStrictEqual(metadata.location, ['Berlin', 'Slough']);
+    assert.deepStrictEqual(metadata.business_unit, []);
+    assert.strictEqual(properties.originalFilename, 'a%20b.xlsx');
+});
+
+test('drops values that would exceed 8 KB of headers and keeps the full lists in the manifest', async () => {
+    const metadata = {
+        ...METADATA,
+        business_unit: Array.from({ length: 50 }, (_, i) => `Business unit ${i} ${'b'.repeat(150)}`),
+        location: Array.from({ length: 50 }, (_, i) => `Location ${i}`)
+    };
+    const encoded = encodeBlobMetadata(metadata, { originalFilename: 'big.xlsx' });
+    assert.strictEqual(encoded.metadataTruncated, 'true');
+    assert.ok(headerBytes(encoded) <= 8 * 1024);
+
+    // The longest list loses its last values; the others are untouched
+    const decoded = decodeBlobMetadata(encoded);
+    assert.ok(decoded.metadata.business_unit.length < 50);
+    assert.deepStrictEqual(decoded.metadata.business_unit, metadata.business_unit.slice(0, decoded.metadata.business_unit.length));
+    assert.deepStrictEqual(decoded.metadata.location, metadata.location);
+    assert.strictEqual(decoded.properties.metadataTruncated, 'true');
+
+    const name = 'societe-generale-sa/2024-q1/big.xlsx';
+    await storage.put(name, Buffer.from('workbook'), { metadata: encoded });
+    await storage.put(manifestName(name), JSON.stringify({ fileName: name, metadata }));
+    const summary = await readFileSummary(storage, await storage.getMetadata(name));
+    assert.deepStrictEqual(summary.metadata, metadata);
+    assert.strictEqual(summary.originalFileName, 'big.xlsx');
+});
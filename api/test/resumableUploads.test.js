@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalFileStorageProvider } = require('../lib/storage/localFileProvider');
+const {
+    CHUNK_SIZE,
+    UploadSessionError,
+    createUploadSession,
+    loadUploadSession,
+    checkUploadToken,
+    describeUploadSession,
+    stageChunk,
+    assembleUpload
+} = require('../lib/resumableUploads');
+
+const USER = { userId: 'uploader-1', userDetails: 'uploader@example.com' };
+
+// Two parts: a full one and 1000 bytes
+const DATA = crypto.randomBytes(CHUNK_SIZE + 1000);
+const SHA256 = crypto.createHash('sha256').update(DATA).digest('hex');
+
+const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'resumable-test-'));
+const storage = new LocalFileStorageProvider({ rootPath, containerName: 'upload-staging' });
+test.after(() => fs.rmSync(rootPath, { recursive: true, force: true }));
+
+function start(options = {}) {
+    return createUploadSession(storage, { fileName: 'report.xlsx', size: DATA.length, user: USER, ...options });
+}
+
+async function rejects(promise, status, code) {
+    await assert.rejects(promise, error => error instanceof UploadSessionError && error.status === status && error.code === code);
+}
+
+test('refuses grants for other file types and sizes out of range', async t => {
+    t.after(() => delete process.env.MAX_UPLOAD_SIZE_MB);
+    await rejects(start({ fileName: 'report.xls' }), 400, 'INVALID_FILE_TYPE');
+    await rejects(start({ size: 0 }), 400, 'INVALID_SIZE');
+    await rejects(start({ size: 1.5 }), 400, 'INVALID_SIZE');
+    process.env.MAX_UPLOAD_SIZE_MB = '1';
+    await rejects(start(), 413, 'FILE_TOO_LARGE');
+});
+
+test('assembles the parts once all have arrived and returns the file', async () => {
+    const { session, token } = await start();
+    assert.strictEqual(session.chunkCount, 2);
+    assert.doesNotThrow(() => checkUploadToken(session, token));
+    assert.throws(() => checkUploadToken(session, 'wrong'), { status: 403, code: 'INVALID_UPLOAD_TOKEN' });
+    assert.throws(() => checkUploadToken(session, ''), { status: 403, code: 'INVALID_UPLOAD_TOKEN' });
+
+    await stageChunk(storage, session, 0, DATA.subarray(0, CHUNK_SIZE));
+    await rejects(stageChunk(storage, session, 1, DATA.subarray(CHUNK_SIZE, CHUNK_SIZE + 10)), 400, 'CHUNK_SIZE_MISMATCH');
+    await rejects(stageChunk(storage, session, 2, Buffer.alloc(0)), 400, 'INVALID_CHUNK');
+
+    const status = await describeUploadSession(storage, session);
+    assert.deepStrictEqual(status.receivedChunks, [0]);
+    assert.deepStrictEqual(status.missingChunks, [1]);
+    assert.strictEqual(status.uploadUrl, null);
+
+    await assert.rejects(assembleUpload(storage, session, SHA256),
+        error => error.status === 409 && error.code === 'INCOMPLETE_UPLOAD' && error.details.missingChunks[0] === 1);
+
+    await stageChunk(storage, session, 1, DATA.subarray(CHUNK_SIZE));
+    const file = await assembleUpload(storage, session, SHA256.toUpperCase());
+    assert.strictEqual(file.filename, 'report.xlsx');
+    assert.ok(file.data.equals(DATA));
+
+    // Finalize can be repeated, but no more parts are taken
+    const loaded = await loadUploadSession(storage, session.uploadId, USER);
+    assert.strictEqual(loaded.assembled, true);
+    assert.ok((await assembleUpload(storage, loaded, SHA256)).data.equals(DATA));
+    await rejects(stageChunk(storage, loaded, 0, DATA.subarray(0, CHUNK_SIZE)), 409, 'UPLOAD_COMPLETE');
+});
+
+test('discards a file that does not match its hash', async () => {
+    const { session } = await start();
+    await rejects(assembleUpload(storage, session, 'not-a-hash'), 400, 'INVALID_HASH');
+    await stageChunk(storage, session, 0, DATA.subarray(0, CHUNK_SIZE));
+    await stageChunk(storage, session, 1, DATA.subarray(CHUNK_SIZE));
+    await rejects(assembleUpload(storage, session, 'a'.repeat(64)), 422, 'HASH_MISMATCH');
+    await rejects(loadUploadSession(storage, session.uploadId, USER), 404, 'UPLOAD_NOT_FOUND');
+});
+
+test('runs grants for the default 60 minutes when the setting is not a positive number', async t => {
+    t.after(() => delete process.env.UPLOAD_GRANT_MINUTES);
+    const now = new Date('2024-03-01T09:00:00Z');
+    for (const value of ['abc', '0', '-5']) {
+        process.env.UPLOAD_GRANT_MINUTES = value;
+        assert.strictEqual((await start({ now })).session.expiresAt, '2024-03-01T10:00:00.000Z', value);
+    }
+    process.env.UPLOAD_GRANT_MINUTES = '15';
+    assert.strictEqual((await start({ now })).session.expiresAt, '2024-03-01T09:15:00.000Z');
+});
+
+test('only shows a grant to the user it was given to, until it expires', async () => {
+    const { session } = await start();
+    await rejects(loadUploadSession(storage, session.uploadId, { userId: 'someone-else' }), 404, 'UPLOAD_NOT_FOUND');
+    await rejects(loadUploadSession(storage, '../sessions/x', USER), 404, 'UPLOAD_NOT_FOUND');
+    assert.strictEqual((await loadUploadSession(storage, session.uploadId, USER)).uploadId, session.uploadId);
+
+    const later = new Date(Date.parse(session.expiresAt) + 1000);
+    await rejects(loadUploadSession(storage, session.uploadId, USER, later), 410, 'UPLOAD_EXPIRED');
+    await rejects(loadUploadSession(storage, session.uploadId, USER), 404, 'UPLOAD_NOT_FOUND');
+});
+
+test('removes expired grants when a new upload starts', async () => {
+    const { session: old } = await start({ now: new Date(Date.now() - 2 * 60 * 60 * 1000) });
+    await stageChunk(storage, old, 0, DATA.subarray(0, CHUNK_SIZE));
+    await start();
+    assert.strictEqual(await storage.get(`sessions/${old.uploadId}.json`), null);
+    assert.deepStrictEqual(await storage.listBlocks(`files/${old.uploadId}`), []);
+});
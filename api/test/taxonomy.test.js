@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateSelection } = require('../lib/taxonomy');
+
+const SELECTION = {
+    esg_topic: ['Energy', 'Water'],
+    esg_metric: ['Total Energy Consumption', 'Water Usage'],
+    unit: ['kWh', 'm³']
+};
+
+test('accepts metrics of the selected topics in their units', () => {
+    assert.deepStrictEqual(validateSelection(SELECTION), []);
+    assert.deepStrictEqual(validateSelection({ ...SELECTION, esg_topic: ['energy', 'WATER'] }), []);
+});
+
+test('reports unknown topics, metrics and units', () => {
+    const errors = validateSelection({ esg_topic: ['Weather'], esg_metric: ['Sunshine'], unit: ['furlongs'] });
+    assert.deepStrictEqual(errors.map(e => [e.field, e.value]), [['esg_topic', 'Weather'], ['esg_metric', 'Sunshine'], ['unit', 'furlongs']]);
+});
+
+test('reports a metric that does not belong to any selected topic', () => {
+    const errors = validateSelection({ esg_topic: ['Energy'], esg_metric: ['Water Usage'], unit: ['m³'] });
+    assert.deepStrictEqual(errors, [{
+        field: 'esg_metric',
+        value: 'Water Usage',
+        message: '"Water Usage" belongs to the Water topic, which is not selected'
+    }]);
+});
+
+test('reports units that do not fit the selected metrics', () => {
+    const errors = validateSelection({ esg_topic: ['Water'], esg_metric: ['Water Usage'], unit: ['kWh'] });
+    assert.deepStrictEqual(errors.map(e => [e.field, e.value]), [['unit', 'kWh'], ['esg_metric', 'Water Usage']]);
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { LocalFileStorageProvider } = require('../lib/storage/localFileProvider');
+const { slugify, buildBlobName, matchesFilters, readFileSummary } = require('../lib/uploads');
+const { processWorkbook } = require('../lib/uploadPipeline');
+
+const METADATA = {
+    company: 'EV Incorporated',
+    business_unit: ['Ops, North', 'Plant'],
+    location: ['Slough EV Hub'],
+    time_period: ['2024-Q1'],
+    esg_topic: ['Energy'],
+    esg_metric: ['Total Energy Consumption'],
+    unit: ['MWh']
+};
+
+const uploader = { userId: 'u1', userDetails: 'uploader@example.com', identityProvider: 'aad', roles: ['uploader'], companies: ['*'] };
+
+const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-test-'));
+const storage = new LocalFileStorageProvider({ rootPath, containerName: 'upload' });
+test.after(() => fs.rmSync(rootPath, { recursive: true, force: true }));
+
+let workbook;
+
+test.before(async () => {
+    const book = new ExcelJS.Workbook();
+    book.addWorksheet('Data').addRows([
+        ['Metric', 'Value', 'Unit', 'Period'],
+        ['Total Energy Consumption', 1.2, 'MWh', '2024-Q1']
+    ]);
+    workbook = Buffer.from(await book.xlsx.writeBuffer());
+});
+
+function upload(filename, options = {}) {
+    return processWorkbook({ storage, file: { filename, data: workbook }, metadata: METADATA, taxonomyVersion: 'test', uploadedBy: uploader, ...options });
+}
+
+async function listWorkbooks() {
+    const summaries = [];
+    for await (const blob of storage.list()) {
+        if (blob.name.endsWith('.xlsx')) summaries.push(await readFileSummary(storage, blob));
+    }
+    return summaries;
+}
+
+test('slugifies names into single path segments', () => {
+    assert.strictEqual(slugify('Société Générale, SA'), 'societe-generale-sa');
+    assert.strictEqual(slugify('../../etc/passwd'), 'etc-passwd');
+    assert.strictEqual(slugify('???'), 'unknown');
+    assert.strictEqual(slugify('', 'company'), 'company');
+    assert.strictEqual(slugify('a'.repeat(59) + ' b'), 'a'.repeat(59));
+});
+
+test('names blobs by company, period and a unique id', () => {
+    const name = buildBlobName(METADATA, 'XLSX');
+    assert.match(name, /^ev-incorporated\/2024-q1\/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\.xlsx$/);
+    assert.notStrictEqual(buildBlobName(METADATA, 'xlsx'), name);
+
+    assert.match(buildBlobName({ ...METADATA, time_period: ['2024-Q1', '2024-Q2'] }, 'xlsx'), /^ev-incorporated\/multi-period\//);
+    assert.match(buildBlobName({ ...METADATA, time_period: [] }, 'xlsx'), /^ev-incorporated\/multi-period\//);
+    assert.match(buildBlobName({ ...METADATA, company: '../Other Co' }, 'x/ls.x'), /^other-co\/2024-q1\/[0-9a-f-]+\.xlsx$/);
+});
+
+test('matches filters case-insensitively, by comma-separated item and by period code', () => {
+    assert.ok(matchesFilters(METADATA, {}));
+    assert.ok(matchesFilters(METADATA, { location: 'slough ev hub' }));
+    assert.ok(matchesFilters(METADATA, { business_unit: 'Ops, North' }));
+    assert.ok(matchesFilters(METADATA, { business_unit: 'Berlin, plant' }));
+    assert.ok(matchesFilters(METADATA, { time_period: 'Q1 2024' }));
+    assert.ok(!matchesFilters(METADATA, { business_unit: 'Ops' }));
+    assert.ok(!matchesFilters(METADATA, { location: 'Slough EV Hub', unit: 'kWh' }));
+});
+
+test('rejects a workbook already uploaded for the company as a duplicate', async () => {
+    const first = await upload('q1.xlsx');
+    assert.strictEqual(first.status, 200, JSON.stringify(first.result));
+    assert.strictEqual(first.result.replaces, undefined);
+
+    const again = await upload('q1 copy.xlsx');
+    assert.strictEqual(again.status, 409);
+    assert.strictEqual(again.result.code, 'DUPLICATE_FILE');
+    assert.strictEqual(again.result.duplicateOf.name, first.result.fileName);
+    assert.strictEqual(again.result.duplicateOf.originalFileName, 'q1.xlsx');
+
+    assert.strictEqual((await listWorkbooks()).length, 1);
+});
+
+test('stores a duplicate as a new version when asked to replace', async () => {
+    const [previous] = await listWorkbooks();
+    const replaced = await upload('q1 v2.xlsx', { replace: true });
+    assert.strictEqual(replaced.status, 200);
+    assert.strictEqual(replaced.result.replaces, previous.name);
+    assert.notStrictEqual(replaced.result.fileName, previous.name);
+
+    const summaries = Object.fromEntries((await listWorkbooks()).map(summary => [summary.name, summary]));
+    assert.strictEqual(summaries[previous.name].supersededBy, replaced.result.fileName);
+    assert.strictEqual(summaries[replaced.result.fileName].replaces, previous.name);
+    assert.strictEqual(summaries[replaced.result.fileName].supersededBy, null);
+
+    // The current version is now the one duplicates are reported against
+    const again = await upload('q1 v3.xlsx');
+    assert.strictEqual(again.result.duplicateOf.name, replaced.result.fileName);
+});
+
+test('only compares uploads of the same company', async () => {
+    const other = await upload('q1.xlsx', { metadata: { ...METADATA, company: 'Other Co' } });
+    assert.strictEqual(other.status, 200, JSON.stringify(other.result));
+    assert.match(other.result.fileName, /^other-co\//);
+});
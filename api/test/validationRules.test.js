@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { metricKey, summarizeMetrics, validateExtraction } = require('../lib/validationRules');
+
+const METADATA = {
+    company: 'EV Incorporated',
+    time_period: ['2024'],
+    esg_metric: ['Total Energy Consumption'],
+    unit: ['kWh']
+};
+
+// One sheet with metric, value, unit and period in columns A to D, one data point per row from row 2
+function extraction(rows) {
+    return {
+        sheets: [{ name: 'Data', columns: { metric: 'A', value: 'B', unit: 'C', period: 'D' } }],
+        dataPoints: rows.map((row, i) => ({
+            metric: 'Total Energy Consumption',
+            value: 100,
+            rawValue: 100,
+            unit: 'kWh',
+            period: '2024-Q1',
+            ...row,
+            source: { sheet: 'Data', row: i + 2, cell: `B${i + 2}` }
+        }))
+    };
+}
+
+function rulesOf(report) {
+    return report.issues.map(issue => `${issue.severity}:${issue.rule}`);
+}
+
+test('passes data in the declared units and periods', () => {
+    const report = validateExtraction(extraction([{}, { period: '2024' }]), METADATA);
+    assert.strictEqual(report.status, 'passed');
+    assert.deepStrictEqual(report.issues, []);
+});
+
+test('reports a value that is not a number as an error and a missing one as a warning', () => {
+    const report = validateExtraction(extraction([{ value: null, rawValue: 'n/a' }, { value: null, rawValue: '' }]), METADATA);
+    assert.deepStrictEqual(rulesOf(report), ['error:non-numeric-value', 'warning:non-numeric-value']);
+    assert.strictEqual(report.status, 'failed');
+    assert.strictEqual(report.errorCount, 1);
+    assert.strictEqual(report.warningCount, 1);
+});
+
+test('rejects negative values', () => {
+    const report = validateExtraction(extraction([{ value: -5, rawValue: -5 }]), METADATA);
+    assert.deepStrictEqual(rulesOf(report), ['error:negative-value']);
+    assert.strictEqual(report.issues[0].cell, 'B2');
+});
+
+test('reports units that differ from the declared unit at the unit cell', () => {
+    const report = validateExtraction(extraction([{}, { unit: 'MWh' }]), METADATA);
+    assert.deepStrictEqual(rulesOf(report), ['error:unit-mismatch']);
+    assert.strictEqual(report.issues[0].cell, 'C3');
+    assert.strictEqual(report.issues[0].row, 3);
+});
+
+test('matches units through their aliases', () => {
+    const metadata = { ...METADATA, esg_metric: ['Water Usage'], unit: ['m³'] };
+    const points = [{ metric: 'Water Usage', unit: 'm3' }, { metric: 'Water Usage', unit: ' M³ ' }, { metric: 'Water Usage', unit: 'cubic metres' }];
+    assert.strictEqual(validateExtraction(extraction(points), metadata).status, 'passed');
+
+    const declaredAlias = { ...metadata, unit: ['m3'] };
+    assert.strictEqual(validateExtraction(extraction([{ metric: 'Water Usage', unit: 'm³' }]), declaredAlias).status, 'passed');
+});
+
+test('reports periods outside the declared ones and warns about unrecognised periods', () => {
+    const report = validateExtraction(extraction([{ period: '2023-Q4' }, { period: 'sometime' }]), METADATA);
+    assert.deepStrictEqual(rulesOf(report), ['error:period-outside-declared', 'warning:period-outside-declared']);
+    assert.deepStrictEqual(report.issues.map(issue => issue.cell), ['D2', 'D3']);
+});
+
+test('warns when a metric moved sharply from the previous upload', () => {
+    const previous = new Map([[metricKey('Total Energy Consumption', 'kWh'), { average: 40, fileName: 'earlier.xlsx' }]]);
+    const report = validateExtraction(extraction([{ value: 100 }]), METADATA, { previous });
+    assert.deepStrictEqual(rulesOf(report), ['warning:sharp-change']);
+    assert.strictEqual(report.status, 'warnings');
+    assert.strictEqual(report.issues[0].previousUpload, 'earlier.xlsx');
+    assert.match(report.issues[0].message, /up 150% from 40 in earlier\.xlsx/);
+
+    const steady = new Map([[metricKey('Total Energy Consumption', 'kWh'), { average: 90, fileName: 'earlier.xlsx' }]]);
+    assert.strictEqual(validateExtraction(extraction([{ value: 100 }]), METADATA, { previous: steady }).status, 'passed');
+});
+
+test('keeps the default change threshold for settings that are not a positive number', t => {
+    t.after(() => delete process.env.VALIDATION_CHANGE_THRESHOLD);
+    const previous = new Map([[metricKey('Total Energy Consumption', 'kWh'), { average: 40, fileName: 'earlier.xlsx' }]]);
+    const steady = new Map([[metricKey('Total Energy Consumption', 'kWh'), { average: 90, fileName: 'earlier.xlsx' }]]);
+    for (const value of ['abc', '0', '-1']) {
+        process.env.VALIDATION_CHANGE_THRESHOLD = value;
+        assert.strictEqual(validateExtraction(extraction([{ value: 100 }]), METADATA, { previous }).status, 'warnings', value);
+        assert.strictEqual(validateExtraction(extraction([{ value: 100 }]), METADATA, { previous: steady }).status, 'passed', value);
+    }
+    process.env.VALIDATION_CHANGE_THRESHOLD = '2';
+    assert.strictEqual(validateExtraction(extraction([{ value: 100 }]), METADATA, { previous }).status, 'passed');
+});
+
+test('summarizes metrics by their normalized value and unit', () => {
+    const summary = summarizeMetrics([
+        { metric: 'Total Energy Consumption', value: 1, unit: 'MWh', normalizedValue: 1000, normalizedUnit: 'kWh' },
+        { metric: 'Total Energy Consumption', value: 3000, unit: 'kWh', normalizedValue: 3000, normalizedUnit: 'kWh' },
+        { metric: 'Total Energy Consumption', value: null, unit: 'kWh' }
+    ]);
+    assert.deepStrictEqual([...summary.values()], [{ metric: 'Total Energy Consumption', unit: 'kWh', average: 2000, count: 2 }]);
+});
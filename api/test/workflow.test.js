@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalFileStorageProvider } = require('../lib/storage/localFileProvider');
+const { AuthError } = require('../lib/auth');
+const { encodeBlobMetadata } = require('../lib/metadataSchema');
+const { manifestName } = require('../lib/uploads');
+const { WorkflowError, isReportable, checkTransition, applyTransition, checkDeletable, getStatusHistory } = require('../lib/workflow');
+
+const METADATA = { company: 'EV Incorporated', time_period: ['2024-Q1'], unit: ['kWh'] };
+
+function user(userDetails, ...roles) {
+    return { userId: userDetails, userDetails, roles, companies: ['*'] };
+}
+
+const uploader = user('uploader@example.com', 'uploader');
+const reviewer = user('reviewer@example.com', 'reviewer');
+const admin = user('admin@example.com', 'admin');
+const auditor = user('auditor@example.com', 'auditor');
+
+function upload(status, extra = {}) {
+    return { status, uploadedBy: uploader.userDetails, supersededBy: null, ...extra };
+}
+
+const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'workflow-test-'));
+const storage = new LocalFileStorageProvider({ rootPath, containerName: 'upload' });
+test.after(() => fs.rmSync(rootPath, { recursive: true, force: true }));
+
+async function storeUpload(name, status) {
+    await storage.put(name, Buffer.from('workbook'), {
+        metadata: encodeBlobMetadata(METADATA, { status, uploadedBy: uploader.userDetails })
+    });
+    await storage.put(manifestName(name), JSON.stringify({ metadata: METADATA, statusHistory: [{ status, action: 'upload' }] }));
+}
+
+test('moves uploads along the allowed transitions only', () => {
+    assert.deepStrictEqual(checkTransition(upload('draft'), 'submit', uploader), { to: 'submitted', comment: null });
+    assert.deepStrictEqual(checkTransition(upload('submitted'), 'approve', reviewer, ' Looks right '), { to: 'approved', comment: 'Looks right' });
+    assert.strictEqual(checkTransition(upload('submitted'), 'reject', reviewer, 'Wrong unit').to, 'rejected');
+    assert.strictEqual(checkTransition(upload('rejected'), 'resubmit', uploader).to, 'submitted');
+
+    assert.throws(() => checkTransition(upload('approved'), 'approve', reviewer), { name: 'WorkflowError', status: 409 });
+    assert.throws(() => checkTransition(upload('draft'), 'approve', reviewer), { name: 'WorkflowError', status: 409 });
+    assert.throws(() => checkTransition(upload('submitted', { supersededBy: 'newer.xlsx' }), 'approve', reviewer), { status: 409 });
+    assert.throws(() => checkTransition(upload('submitted'), 'publish', admin), { name: 'WorkflowError', status: 404 });
+});
+
+test('requires the role of each action and a comment to reject', () => {
+    assert.throws(() => checkTransition(upload('submitted'), 'approve', uploader), AuthError);
+    assert.throws(() => checkTransition(upload('draft'), 'submit', reviewer), AuthError);
+    assert.throws(() => checkTransition(upload('draft'), 'submit', auditor), AuthError);
+    assert.throws(() => checkTransition(upload('submitted'), 'reject', reviewer, '  '), { name: 'WorkflowError', status: 400 });
+    assert.throws(() => checkTransition(upload('submitted'), 'reject', reviewer, 'x'.repeat(2001)), { name: 'WorkflowError', status: 400 });
+});
+
+test('does not let reviewers approve their own uploads, except admins', () => {
+    const ownUpload = upload('submitted', { uploadedBy: reviewer.userDetails });
+    assert.throws(() => checkTransition(ownUpload, 'approve', user(reviewer.userDetails, 'reviewer', 'uploader')), { name: 'AuthError', status: 403 });
+    assert.strictEqual(checkTransition({ ...ownUpload, uploadedBy: admin.userDetails }, 'approve', admin).to, 'approved');
+});
+
+test('lets uploaders delete only drafts and rejected uploads', () => {
+    for (const status of ['draft', 'rejected']) {
+        assert.doesNotThrow(() => checkDeletable(uploader, upload(status)));
+    }
+    for (const status of ['submitted', 'approved']) {
+        assert.throws(() => checkDeletable(uploader, upload(status)), { name: 'AuthError', status: 403 });
+        assert.doesNotThrow(() => checkDeletable(admin, upload(status)));
+    }
+    assert.throws(() => checkDeletable(reviewer, upload('draft')), AuthError);
+});
+
+test('counts only approved, current uploads toward reporting', () => {
+    assert.strictEqual(isReportable(upload('approved')), true);
+    assert.strictEqual(isReportable(upload('approved', { supersededBy: 'newer.xlsx' })), false);
+    assert.strictEqual(isReportable(upload('submitted')), false);
+});
+
+test('records each transition on the blob and in the status history', async () => {
+    const name = 'ev-incorporated/2024-q1/report.xlsx';
+    await storeUpload(name, 'submitted');
+
+    const rejected = await applyTransition(storage, name, 'reject', reviewer, 'Wrong unit');
+    assert.strictEqual(rejected.file.status, 'rejected');
+    assert.strictEqual(rejected.file.statusChangedBy, reviewer.userDetails);
+    assert.strictEqual(rejected.file.statusComment, 'Wrong unit');
+    assert.deepStrictEqual(rejected.file.metadata.time_period, ['2024-Q1']);
+
+    const resubmitted = await applyTransition(storage, name, 'resubmit', uploader);
+    assert.strictEqual(resubmitted.file.status, 'submitted');
+    assert.strictEqual(resubmitted.file.statusComment, null);
+
+    const history = await getStatusHistory(storage, name);
+    assert.deepStrictEqual(history.map(entry => [entry.status, entry.action, entry.by || null, entry.comment ?? null]), [
+        ['submitted', 'upload', null, null],
+        ['rejected', 'reject', reviewer.userDetails, 'Wrong unit'],
+        ['submitted', 'resubmit', uploader.userDetails, null]
+    ]);
+    assert.deepStrictEqual(resubmitted.statusHistory, history);
+});
+
+test('changes nothing when a transition is refused or the upload is missing', async () => {
+    const name = 'ev-incorporated/2024-q1/approved.xlsx';
+    await storeUpload(name, 'approved');
+    await assert.rejects(applyTransition(storage, name, 'reject', reviewer, 'Too late'), WorkflowError);
+    assert.strictEqual((await getStatusHistory(storage, name)).length, 1);
+    assert.strictEqual(await applyTransition(storage, 'missing.xlsx', 'approve', reviewer), null);
+});
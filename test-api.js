@@ -1,49 +1,68 @@
 const fs = require('fs');
 const path = require('path');
 
-// Create a simple test Excel file
-function createTestExcelFile() {
-    // Create a minimal XLSX file structure
-    const xlsxContent = Buffer.from([
-        0x50, 0x4B, 0x03, 0x04, // ZIP signature
-        0x14, 0x00, 0x00, 0x00, 0x08, 0x00, // ZIP header
-        0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
-        // Add some content
-        ...Buffer.from('test excel content for upload'),
-        // ZIP end signature
-        0x50, 0x4B, 0x05, 0x06, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00
+// Point at any running Functions host. For a fully offline run start it with
+// STORAGE_PROVIDER=local so uploads land on disk instead of Azure/Azurite.
+const API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:7071';
+
+// Static Web Apps normally sets this header after sign-in. Calling the Functions
+// host directly lets us forge it; TEST_USER must be listed in api/config/access.json.
+const TEST_USER = process.env.TEST_USER || 'admin@example.com';
+const PRINCIPAL_HEADER = Buffer.from(JSON.stringify({
+    identityProvider: 'aad',
+    userId: `test-${TEST_USER}`,
+    userDetails: TEST_USER,
+    userRoles: ['anonymous', 'authenticated']
+})).toString('base64');
+
+// Create a small but real Excel workbook with a few ESG rows
+async function createTestExcelFile() {
+    const ExcelJS = require('exceljs');
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet('ESG Data').addRows([
+        ['Metric', 'Value', 'Unit', 'Period', 'Business Unit', 'Location'],
+        ['Energy Consumption', 1250.5, 'kWh', '2024', 'IT Department', 'New York'],
+        ['Energy Consumption', 980, 'kWh', 'Q1 2024', 'IT Department', 'New York']
     ]);
-    
+
     const testFilePath = path.join(__dirname, 'test-upload.xlsx');
-    fs.writeFileSync(testFilePath, xlsxContent);
+    await workbook.xlsx.writeFile(testFilePath);
     return testFilePath;
 }
 
 async function testUpload() {
     try {
         console.log('Creating test Excel file...');
-        const testFilePath = createTestExcelFile();
+        const testFilePath = await createTestExcelFile();
         console.log('Test file created:', testFilePath);
         
-        // Test the message endpoint first
-        console.log('\n--- Testing message endpoint ---');
-        const messageResponse = await fetch('http://localhost:7071/api/message');
-        const messageText = await messageResponse.text();
-        console.log('Message endpoint response:', messageText);
+        // Check the API is ready (config and storage) before uploading
+        console.log('\n--- Testing health endpoint ---');
+        const healthResponse = await fetch(`${API_BASE_URL}/api/health`);
+        console.log('Health endpoint response:', healthResponse.status, await healthResponse.text());
+
+        // Check who the API thinks we are
+        console.log('\n--- Testing me endpoint ---');
+        const meResponse = await fetch(`${API_BASE_URL}/api/me`, {
+            headers: { 'x-ms-client-principal': PRINCIPAL_HEADER }
+        });
+        console.log('Me endpoint response:', await meResponse.text());
         
         // Create form data for upload test
         console.log('\n--- Testing storage endpoint ---');
         const FormData = require('form-data');
         const formData = new FormData();
         
-        // Add metadata fields
-        formData.append('company', 'Test Company Inc');
-        formData.append('business_unit', 'IT Department');
-        formData.append('location', 'New York');
-        formData.append('time_period', '2024');
-        formData.append('esg_topic', 'Environment');
-        formData.append('esg_metric', 'Energy Consumption');
-        formData.append('unit', 'kWh');
+        // Add metadata as one JSON part (lists may hold values containing commas)
+        formData.append('metadata', JSON.stringify({
+            company: 'Test Company Inc',
+            business_unit: ['IT Department', 'Facilities, North'],
+            location: ['New York'],
+            time_period: ['2024', 'Q1 2024'],
+            esg_topic: ['Environment'],
+            esg_metric: ['Total Energy Consumption'],
+            unit: ['kWh']
+        }));
         
         // Add file
         formData.append('file', fs.createReadStream(testFilePath), {
@@ -53,10 +72,14 @@ async function testUpload() {
         
         console.log('Sending upload request...');
         
-        const uploadResponse = await fetch('http://localhost:7071/api/storage', {
+        // replace=true so re-running the test stores a new version instead of failing as a duplicate
+        const uploadResponse = await fetch(`${API_BASE_URL}/api/storage?replace=true`, {
             method: 'POST',
             body: formData,
-            headers: formData.getHeaders()
+            headers: {
+                ...formData.getHeaders(),
+                'x-ms-client-principal': PRINCIPAL_HEADER
+            }
         });
         
         console.log('Upload response status:', uploadResponse.status);
@@ -74,6 +97,7 @@ async function testUpload() {
             if (responseData.success) {
                 console.log('\n✅ Upload test PASSED!');
                 console.log('File uploaded to:', responseData.url);
+                console.log('Data points extracted:', responseData.extraction?.dataPointCount);
             } else {
                 console.log('\n❌ Upload test FAILED!');
                 console.log('Error:', responseData.error);